@@ -213,9 +213,11 @@ function playSound(type) {
  * @param {number} duration - Duration in seconds
  * @param {string} waveType - "sine", "square", "sawtooth", "triangle"
  * @param {number} volume - Volume from 0 to 1
+ * @param {number} startTime - Audio clock time (seconds) to start at; defaults to now
+ * @returns {number|null} Scheduled start time on the audio clock, or null without audio
  */
-function playTone(frequency, duration, waveType = "sine", volume = 0.2) {
-  if (!audioContext) return;
+function playTone(frequency, duration, waveType = "sine", volume = 0.2, startTime = null) {
+  if (!audioContext) return null;
 
   const oscillator = audioContext.createOscillator();
   const gainNode = audioContext.createGain();
@@ -224,7 +226,7 @@ function playTone(frequency, duration, waveType = "sine", volume = 0.2) {
   oscillator.frequency.value = frequency;
 
   // ADSR envelope for smoother sound
-  const now = audioContext.currentTime;
+  const now = startTime !== null ? startTime : audioContext.currentTime;
   gainNode.gain.setValueAtTime(0, now);
   gainNode.gain.linearRampToValueAtTime(volume, now + 0.01); // Attack
   gainNode.gain.exponentialRampToValueAtTime(0.001, now + duration); // Decay/Release
@@ -234,26 +236,50 @@ function playTone(frequency, duration, waveType = "sine", volume = 0.2) {
 
   oscillator.start(now);
   oscillator.stop(now + duration);
+
+  return now;
+}
+
+/**
+ * Converts an audio clock time to the performance.now() timeline
+ * Uses the output timestamp when the browser provides one, so output latency is included
+ * @param {number} audioTime - Time in seconds on audioContext's clock
+ * @returns {number} Matching performance.now() time in ms
+ */
+function audioTimeToPerformanceTime(audioTime) {
+  if (audioContext.getOutputTimestamp) {
+    const stamp = audioContext.getOutputTimestamp();
+    if (stamp.performanceTime) {
+      return stamp.performanceTime + (audioTime - stamp.contextTime) * 1000;
+    }
+  }
+  return performance.now() + (audioTime - audioContext.currentTime) * 1000;
 }
 
 // Difficulty presets (used in free play)
+// blankDuration is the blank/fixation period between trials, so back-to-back
+// stimuli read as separate events; blankDuration: 0 (modes that time their own
+// cue or onset) runs trials back to back.
 const DIFFICULTY_CONFIG = {
   easy: {
     label: "Easy",
     maxTrials: 20,
     trialDuration: 1000,
+    blankDuration: 300,
     targetProbability: 0.5
   },
   normal: {
     label: "Normal",
     maxTrials: 25,
     trialDuration: 800,
+    blankDuration: 250,
     targetProbability: 0.4
   },
   hard: {
     label: "Hard",
     maxTrials: 30,
     trialDuration: 600,
+    blankDuration: 200,
     targetProbability: 0.3
   }
 };
@@ -261,13 +287,22 @@ const DIFFICULTY_CONFIG = {
 // Difficulty progression order
 const DIFFICULTY_ORDER = ["easy", "normal", "hard"];
 
+// Longest run of consecutive targets allowed in a pre-built trial list
+const MAX_TARGET_RUN = 3;
+
+// Time-on-task bins per session unless a Focus Lab preset (timeBins) or the player picks another
+const DEFAULT_TIME_BINS = 4;
+
 // Focus Lab difficulty presets (shorter, more action, variable tempo, visual variety)
+// timeBins: default number of time-on-task bins - few enough that each holds a few targets
 const VIGILANCE_DIFFICULTY_CONFIG = {
   easy: {
     label: "Easy",
     maxTrials: 20,           // ~45 seconds
     trialDurationMin: 800,   // Unpredictable tempo
     trialDurationMax: 1800,
+    blankDuration: 300,
+    timeBins: 2,
     targetProbability: 0.35  // ~7 targets expected
   },
   normal: {
@@ -275,6 +310,8 @@ const VIGILANCE_DIFFICULTY_CONFIG = {
     maxTrials: 25,           // ~50 seconds
     trialDurationMin: 500,   // More unpredictable
     trialDurationMax: 2000,
+    blankDuration: 250,
+    timeBins: 3,
     targetProbability: 0.30  // ~7-8 targets expected
   },
   hard: {
@@ -282,10 +319,561 @@ const VIGILANCE_DIFFICULTY_CONFIG = {
     maxTrials: 30,           // ~1 minute
     trialDurationMin: 300,   // Very unpredictable (quick to slow)
     trialDurationMax: 2200,
+    blankDuration: 200,
+    timeBins: 3,
     targetProbability: 0.25  // ~7-8 targets expected
   }
 };
 
+// Focus Lab SART presets (same shape as VIGILANCE_DIFFICULTY_CONFIG)
+// Here targetProbability is the share of go trials - the rare rest are the no-go target
+const SART_DIFFICULTY_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 40,           // ~50 seconds, ~5 no-go trials
+    trialDurationMin: 900,
+    trialDurationMax: 1500,
+    blankDuration: 300,
+    timeBins: 4,
+    targetProbability: 0.88
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 50,           // ~1 minute, ~5-6 no-go trials
+    trialDurationMin: 800,
+    trialDurationMax: 1400,
+    blankDuration: 250,
+    timeBins: 5,
+    targetProbability: 0.89
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 60,           // ~1 minute, ~6 no-go trials
+    trialDurationMin: 600,
+    trialDurationMax: 1300,
+    blankDuration: 200,
+    timeBins: 6,
+    targetProbability: 0.9
+  }
+};
+
+// Number of go trials before each no-go used to measure pre-error speeding
+const SART_PRE_NOGO_WINDOW = 4;
+
+// Focus Lab reversal presets (same shape as VIGILANCE_DIFFICULTY_CONFIG)
+// The target switches `reversals` times without warning; oldTargetProbability is how often
+// the previous target keeps appearing afterwards (taps on it are perseverative errors)
+const REVERSAL_DIFFICULTY_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 48,
+    trialDurationMin: 900,
+    trialDurationMax: 1500,
+    blankDuration: 300,
+    timeBins: 4,
+    targetProbability: 0.35,
+    oldTargetProbability: 0.2,
+    reversals: 1
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 64,
+    trialDurationMin: 700,
+    trialDurationMax: 1400,
+    blankDuration: 250,
+    timeBins: 4,
+    targetProbability: 0.3,
+    oldTargetProbability: 0.2,
+    reversals: 2
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 80,
+    trialDurationMin: 500,
+    trialDurationMax: 1300,
+    blankDuration: 200,
+    timeBins: 4,
+    targetProbability: 0.3,
+    oldTargetProbability: 0.2,
+    reversals: 3
+  }
+};
+
+// Consecutive correct trials that count as having learned the new target
+const REVERSAL_CRITERION = 5;
+
+// PVT presets (same shape as VIGILANCE_DIFFICULTY_CONFIG)
+// trialDurationMin/Max is the random foreperiod before the counter starts;
+// responseWindow is how long the counter runs before the trial counts as a miss.
+// No blank between trials (blankDuration 0): the foreperiod is already an empty screen.
+const PVT_DIFFICULTY_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 12,           // ~1.5 minutes
+    trialDurationMin: 2000,
+    trialDurationMax: 10000,
+    blankDuration: 0,
+    targetProbability: 1,
+    responseWindow: 3000
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 20,           // ~2.5 minutes
+    trialDurationMin: 2000,
+    trialDurationMax: 10000,
+    blankDuration: 0,
+    targetProbability: 1,
+    responseWindow: 3000
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 30,           // ~4 minutes
+    trialDurationMin: 2000,
+    trialDurationMax: 10000,
+    blankDuration: 0,
+    targetProbability: 1,
+    responseWindow: 3000
+  }
+};
+
+// Responses slower than this count as PVT lapses
+const PVT_LAPSE_THRESHOLD = 500;
+
+// Choice Lab (delay discounting) questionnaire
+// For each delay, the immediate offer is titrated toward the amount judged equal to
+// delayedAmount later: start at half, then move by half the previous step after each answer.
+const DELAY_DISCOUNTING_CONFIG = {
+  delayedAmount: 100,
+  questionsPerDelay: 5,
+  delays: [
+    { days: 1, label: "tomorrow" },
+    { days: 7, label: "in 1 week" },
+    { days: 30, label: "in 1 month" },
+    { days: 180, label: "in 6 months" },
+    { days: 365, label: "in 1 year" },
+    { days: 1825, label: "in 5 years" }
+  ]
+};
+
+// Stop-Signal difficulty presets
+// targetProbability is the share of go trials - the rest carry a stop signal.
+// The stop-signal delay (SSD) is tuned by a staircase: +ssdStep after a
+// successful stop, -ssdStep after a failed one, so stopping converges on ~50%.
+const STOP_SIGNAL_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 32,           // 8 stop trials
+    trialDuration: 1200,
+    blankDuration: 300,
+    targetProbability: 0.75,
+    initialSsd: 150,
+    ssdStep: 50,
+    minSsd: 50,
+    maxSsd: 900
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 40,           // 10 stop trials
+    trialDuration: 1000,
+    blankDuration: 250,
+    targetProbability: 0.75,
+    initialSsd: 200,
+    ssdStep: 50,
+    minSsd: 50,
+    maxSsd: 750
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 48,           // 12 stop trials
+    trialDuration: 800,
+    blankDuration: 200,
+    targetProbability: 0.75,
+    initialSsd: 250,
+    ssdStep: 50,
+    minSsd: 50,
+    maxSsd: 600
+  }
+};
+
+// Stop-signal score: an SSRT this slow (ms) earns nothing for stopping; every 2 ms faster
+// earns a point, so 150 ms or quicker earns the full 100
+const STOP_SIGNAL_SCORE_SLOWEST_SSRT = 350;
+
+// Flanker difficulty presets
+// Every trial needs a left/right answer, so targetProbability is always 1.
+// congruentProbability sets the share of trials where flankers match the target.
+const FLANKER_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 24,
+    trialDuration: 1500,
+    blankDuration: 300,
+    targetProbability: 1,
+    congruentProbability: 0.5
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 32,
+    trialDuration: 1200,
+    blankDuration: 250,
+    targetProbability: 1,
+    congruentProbability: 0.5
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 40,
+    trialDuration: 1000,
+    blankDuration: 200,
+    targetProbability: 1,
+    congruentProbability: 0.5
+  }
+};
+
+// Simon difficulty presets
+// The stimulus side is irrelevant to the answer; half the trials put it on the answer's side
+const SIMON_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 24,
+    trialDuration: 1500,
+    blankDuration: 300,
+    targetProbability: 1,
+    congruentProbability: 0.5
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 32,
+    trialDuration: 1200,
+    blankDuration: 250,
+    targetProbability: 1,
+    congruentProbability: 0.5
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 40,
+    trialDuration: 1000,
+    blankDuration: 200,
+    targetProbability: 1,
+    congruentProbability: 0.5
+  }
+};
+
+// Simon answers: each color is mapped to one hand (left / right)
+const SIMON_CHOICES = [
+  { id: "blue", label: "Blue", keys: ["ArrowLeft", "f", "F"], side: "left" },
+  { id: "red", label: "Red", keys: ["ArrowRight", "j", "J"], side: "right" }
+];
+
+// Stroop difficulty presets
+// Trials are congruent, neutral or incongruent - the remainder after the
+// congruent and neutral shares is incongruent.
+const STROOP_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 24,
+    trialDuration: 2000,
+    blankDuration: 300,
+    targetProbability: 1,
+    congruentProbability: 0.34,
+    neutralProbability: 0.33
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 30,
+    trialDuration: 1600,
+    blankDuration: 250,
+    targetProbability: 1,
+    congruentProbability: 0.34,
+    neutralProbability: 0.33
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 36,
+    trialDuration: 1300,
+    blankDuration: 200,
+    targetProbability: 1,
+    congruentProbability: 0.34,
+    neutralProbability: 0.33
+  }
+};
+
+// Ink colors used by Stroop (keys into COLORS) and the non-color words for neutral trials
+const STROOP_INKS = ["red", "blue", "green", "yellow"];
+const STROOP_NEUTRAL_WORDS = ["TABLE", "HOUSE", "CHAIR", "PLANT"];
+
+// N-back difficulty presets (N itself is picked separately: 1, 2 or 3)
+// targetProbability is the exact share of match trials in the generated sequence
+const N_BACK_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 20,
+    trialDuration: 2500,
+    blankDuration: 300,
+    targetProbability: 0.3
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 25,
+    trialDuration: 2000,
+    blankDuration: 250,
+    targetProbability: 0.3
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 30,
+    trialDuration: 1600,
+    blankDuration: 200,
+    targetProbability: 0.3
+  }
+};
+
+// Selectable N values and the number of distinct stimuli used per session
+const N_BACK_LEVELS = [1, 2, 3];
+const N_BACK_STIMULUS_COUNT = 8;
+
+// Task-switching difficulty presets
+// cueDuration is the cue-to-stimulus interval; trialDuration is the response
+// window after the stimulus; switchProbability is the exact share of switch trials.
+// No blank between trials (blankDuration 0): the cue already separates one stimulus from the next.
+const TASK_SWITCH_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 24,
+    cueDuration: 700,
+    trialDuration: 1600,
+    blankDuration: 0,
+    targetProbability: 0.5,
+    switchProbability: 0.5
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 32,
+    cueDuration: 500,
+    trialDuration: 1300,
+    blankDuration: 0,
+    targetProbability: 0.5,
+    switchProbability: 0.5
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 40,
+    cueDuration: 300,
+    trialDuration: 1000,
+    blankDuration: 0,
+    targetProbability: 0.5,
+    switchProbability: 0.5
+  }
+};
+
+// Visual search difficulty presets
+// Trials end on the answer, so trialDuration is only the time limit per display
+const VISUAL_SEARCH_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 24,
+    trialDuration: 3000,
+    blankDuration: 300,
+    targetProbability: 0.5
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 32,
+    trialDuration: 2500,
+    blankDuration: 250,
+    targetProbability: 0.5
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 40,
+    trialDuration: 2000,
+    blankDuration: 200,
+    targetProbability: 0.5
+  }
+};
+
+// Display sizes mixed within a visual search session (state.symbolCount is the largest allowed)
+const VISUAL_SEARCH_SET_SIZES = [2, 4, 6, 8];
+
+// AX-CPT difficulty presets
+// Each trial is a cue-probe pair: cue shown for cueDuration, blank for
+// cueProbeDelay, then the probe for trialDuration (the response window).
+// targetProbability is the exact share of AX pairs; the rest split evenly into AY, BX and BY.
+// No blank between trials (blankDuration 0): each pair starts with its own cue.
+const AX_CPT_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 20,
+    cueDuration: 500,
+    cueProbeDelay: 1000,
+    trialDuration: 1200,
+    blankDuration: 0,
+    targetProbability: 0.7
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 30,
+    cueDuration: 500,
+    cueProbeDelay: 1500,
+    trialDuration: 1000,
+    blankDuration: 0,
+    targetProbability: 0.7
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 40,
+    cueDuration: 400,
+    cueProbeDelay: 2000,
+    trialDuration: 800,
+    blankDuration: 0,
+    targetProbability: 0.7
+  }
+};
+
+// Letters standing in for "not A" cues and "not X" probes
+const AX_CPT_B_LETTERS = ["B", "D", "E", "G", "H", "J"];
+const AX_CPT_Y_LETTERS = ["K", "M", "P", "R", "T", "Y"];
+
+// Posner cueing difficulty presets
+// Cues are non-predictive (valid on half the trials), so a late cue can show inhibition of return.
+// shortSoa/longSoa are cue-to-target onset intervals; trialDuration is the response window.
+// No blank between trials (blankDuration 0): the fixation wait before the cue does that job.
+const POSNER_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 32,
+    cueDuration: 100,
+    shortSoa: 150,
+    longSoa: 800,
+    trialDuration: 1200,
+    blankDuration: 0,
+    targetProbability: 1
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 48,
+    cueDuration: 100,
+    shortSoa: 150,
+    longSoa: 800,
+    trialDuration: 1000,
+    blankDuration: 0,
+    targetProbability: 1
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 64,
+    cueDuration: 100,
+    shortSoa: 150,
+    longSoa: 800,
+    trialDuration: 800,
+    blankDuration: 0,
+    targetProbability: 1
+  }
+};
+
+// Random wait before the cue, so cue onset can't be anticipated
+const POSNER_PRE_CUE_MIN = 400;
+const POSNER_PRE_CUE_MAX = 800;
+
+// Auditory go/no-go difficulty presets
+// The go tone is always AUDITORY_GO_FREQUENCY; harder levels use no-go pitches closer to it.
+// trialDuration is the response window after tone onset.
+// No blank between trials (blankDuration 0): the silence before each tone does that job.
+const AUDITORY_GO_NOGO_CONFIG = {
+  easy: {
+    label: "Easy",
+    maxTrials: 20,
+    trialDuration: 1200,
+    blankDuration: 0,
+    targetProbability: 0.5,
+    noGoFrequencies: [330, 440]
+  },
+  normal: {
+    label: "Normal",
+    maxTrials: 30,
+    trialDuration: 1000,
+    blankDuration: 0,
+    targetProbability: 0.4,
+    noGoFrequencies: [440, 660, 880]
+  },
+  hard: {
+    label: "Hard",
+    maxTrials: 40,
+    trialDuration: 800,
+    blankDuration: 0,
+    targetProbability: 0.3,
+    noGoFrequencies: [660, 880, 1047]
+  }
+};
+
+const AUDITORY_GO_FREQUENCY = 1319; // E6
+const AUDITORY_TONE_DURATION = 0.2; // seconds
+// Tones are scheduled this far ahead on the audio clock so the onset time is exact
+const AUDITORY_ONSET_LEAD = 0.1; // seconds
+
+// Rhythm tapping presets (synchronization-continuation)
+// interval is the beat period in ms; trialDuration matches it (one beat per trial).
+// Slower tempos and longer unpaced stretches are harder to keep steady.
+// No blank between trials (blankDuration 0): a gap would break the beat.
+const RHYTHM_CONFIG = {
+  easy: {
+    label: "Easy",
+    interval: 500,
+    syncBeats: 12,
+    continuationBeats: 12,
+    maxTrials: 24,
+    trialDuration: 500,
+    blankDuration: 0,
+    targetProbability: 1
+  },
+  normal: {
+    label: "Normal",
+    interval: 600,
+    syncBeats: 12,
+    continuationBeats: 20,
+    maxTrials: 32,
+    trialDuration: 600,
+    blankDuration: 0,
+    targetProbability: 1
+  },
+  hard: {
+    label: "Hard",
+    interval: 800,
+    syncBeats: 10,
+    continuationBeats: 30,
+    maxTrials: 40,
+    trialDuration: 800,
+    blankDuration: 0,
+    targetProbability: 1
+  }
+};
+
+const RHYTHM_BEAT_FREQUENCY = 880; // A5
+const RHYTHM_BEAT_DURATION = 0.08; // seconds
+// Gap before the first beat, so the first tap window starts after the session begins
+const RHYTHM_START_DELAY = 0.6; // seconds
+
+// Targets a Focus Lab session can pick (and a reversal can switch to)
+const FOCUS_TARGETS = [
+  { color: "blue", shape: "circle" },
+  { color: "blue", shape: "square" },
+  { color: "green", shape: "circle" },
+  { color: "red", shape: "triangle" },
+  { color: "purple", shape: "diamond" },
+  { color: "yellow", shape: "square" }
+];
+
+// Fastest RT (ms) that can be a reaction to the stimulus - anything quicker was started
+// before it appeared. Modes can raise it with anticipationFloor
+const ANTICIPATION_FLOOR = 100;
+// Choice modes need a decision before the response, so nothing under this is a real answer
+const CHOICE_ANTICIPATION_FLOOR = 150;
+
+// Left/right answers for two-choice modes (tap a half of the tap area or press a key)
+const SIDE_CHOICES = [
+  { id: "left", label: "Left", keys: ["ArrowLeft", "f", "F"] },
+  { id: "right", label: "Right", keys: ["ArrowRight", "j", "J"] }
+];
+
 // Campaign level configuration
 const CAMPAIGN_CONFIG = {
   maxLives: 3,
@@ -295,7 +883,8 @@ const CAMPAIGN_CONFIG = {
     1: { type: "mode", id: "tapOnBlue", label: "Tap on Blue mode" },
     3: { type: "feature", id: "moving", label: "Moving Objects" },
     4: { type: "mode", id: "blueCircle", label: "Blue Circle mode" },
-    5: { type: "mode", id: "multiTarget", label: "Multi-Target mode" }
+    5: { type: "mode", id: "multiTarget", label: "Multi-Target mode" },
+    13: { type: "mode", id: "nBack", label: "N-Back mode" }
   }
 };
 
@@ -307,25 +896,27 @@ const CAMPAIGN_CONFIG = {
  * - Levels 1-2: Tap on Blue (static)
  * - Level 3: Tap on Blue with MOVING objects
  * - Level 4: Blue Circle mode (moving)
- * - Level 5+: Multi-Target mode (moving)
- *   - Level 5-6: 2 objects
- *   - Level 7-8: 3 objects
- *   - Level 9-10: 4 objects
- *   - Level 11-12: 5 objects
- *   - etc. (+1 object every 2 levels)
+ * - Level 5+: Multi-Target visual search (moving), set size varies per trial
+ *   - Level 5-6: up to 4 objects
+ *   - Level 7-8: up to 6 objects
+ *   - Level 9-12: up to 8 objects
+ * - Level 13+: N-Back mode (working memory)
+ *   - Level 13-14: 1-back
+ *   - Level 15-18: 2-back
+ *   - Level 19+: 3-back
  */
 function getLevelConfig(level) {
   // Determine mode based on level
-  let mode, symbolCount = 1;
+  let mode, symbolCount = 1, nBackLevel = 1;
   let isMoving = level >= 3; // Objects start moving at level 3
 
-  if (level >= 5) {
+  if (level >= 13) {
+    mode = "nBack";
+    nBackLevel = level >= 19 ? 3 : level >= 15 ? 2 : 1;
+  } else if (level >= 5) {
     mode = "multiTarget";
-    // Symbol count: starts at 2, increases by 1 every 2 levels
-    // Level 5-6: 2, Level 7-8: 3, Level 9-10: 4, etc.
-    symbolCount = 2 + Math.floor((level - 5) / 2);
-    // Cap at reasonable maximum (6 objects)
-    symbolCount = Math.min(6, symbolCount);
+    // Largest set size: starts at 4, +2 every 2 levels, capped at 8
+    symbolCount = Math.min(8, 4 + Math.floor((level - 5) / 2) * 2);
   } else if (level >= 4) {
     mode = "blueCircle";
   } else {
@@ -333,10 +924,26 @@ function getLevelConfig(level) {
   }
 
   // Trial duration: starts at 900ms (harder), decreases by 50ms per level (faster), min 350ms
-  const trialDuration = Math.max(350, 900 - (level - 1) * 50);
+  // N-back needs time to compare with memory: starts at 2500ms, -100ms per level, min 1500ms
+  // Visual search needs time to scan: starts at 3000ms, -150ms per level, min 1500ms
+  let trialDuration = Math.max(350, 900 - (level - 1) * 50);
+  if (mode === "nBack") {
+    trialDuration = Math.max(1500, 2500 - (level - 13) * 100);
+  } else if (mode === "multiTarget") {
+    trialDuration = Math.max(1500, 3000 - (level - 5) * 150);
+  }
 
   // Target probability: starts at 0.45 (less targets = harder), decreases by 0.02 per level, min 0.15
-  const targetProbability = Math.max(0.15, 0.45 - (level - 1) * 0.02);
+  // N-back keeps a fixed 30% match rate; visual search shows the target on half the displays
+  let targetProbability = Math.max(0.15, 0.45 - (level - 1) * 0.02);
+  if (mode === "nBack") {
+    targetProbability = 0.3;
+  } else if (mode === "multiTarget") {
+    targetProbability = 0.5;
+  }
+
+  // Blank between trials: starts at 300ms, -10ms per level, min 150ms
+  const blankDuration = Math.max(150, 300 - (level - 1) * 10);
 
   // Pass score: starts at 55 (higher bar), increases by 2 per level, max 85
   const passScore = Math.min(85, Math.round(55 + (level - 1) * 2));
@@ -344,7 +951,9 @@ function getLevelConfig(level) {
   return {
     mode,
     symbolCount,
+    nBackLevel,
     trialDuration,
+    blankDuration,
     targetProbability,
     passScore,
     isMoving
@@ -362,6 +971,26 @@ const LEVEL_BADGES = {
 };
 
 // Game modes configuration
+//
+// Besides the basic fields, a mode can opt into these (all optional):
+// - isTarget(color, shape, trial): trial is the full getTrialProps result, for
+//   rules that change per trial
+// - isChoice + choices + responseLayout: answers other than "tap"
+// - isSpatial: the tap must land on a symbol; the response is { index, distance }
+// - checkResponse(response, trial): custom correctness rule for a response
+// - difficultyConfig: its own easy/normal/hard presets
+// - initSession / onTrialStart / onResponse / onTrialEnd: session and trial hooks;
+//   an onTrialStart with a foreperiod sets state.awaitingOnset (taps until then are false
+//   starts) and calls markStimulusOnset() right after drawing the stimulus, or sets
+//   state.trialStartTime ahead to a known onset (audio)
+// - getTrialDuration(trial): custom trial length
+// - isTiming: taps are timing responses, not detections - no hit/fail feedback, and the
+//   (signed) response time stays out of the RT average
+// - anticipationFloor: fastest believable RT in ms (default ANTICIPATION_FLOOR); quicker
+//   taps are anticipations, not responses to the stimulus
+// - isAdaptive: a staircase tunes difficulty to a fixed error rate, so hit and false-alarm
+//   rates describe the staircase rather than the player - no signal-detection analysis
+// - getResults / calculateScore: mode-specific analysis and scoring
 const MODES = {
   tapOnBlue: {
     id: "tapOnBlue",
@@ -372,12 +1001,12 @@ const MODES = {
     unlockLevel: 1, // Available from start
     isTarget: (color, shape) => color === "blue",
     getTrialProps: (targetProbability) => {
-      if (Math.random() < targetProbability) {
+      if (random() < targetProbability) {
         return { color: "blue", shape: "circle" };
       }
       const nonBlueColors = COLOR_KEYS.filter(c => c !== "blue");
       return {
-        color: nonBlueColors[Math.floor(Math.random() * nonBlueColors.length)],
+        color: nonBlueColors[Math.floor(random() * nonBlueColors.length)],
         shape: "circle"
       };
     }
@@ -391,28 +1020,28 @@ const MODES = {
     unlockLevel: 4, // Unlocked at level 4
     isTarget: (color, shape) => color === "blue" && shape === "circle",
     getTrialProps: (targetProbability) => {
-      if (Math.random() < targetProbability) {
+      if (random() < targetProbability) {
         return { color: "blue", shape: "circle" };
       }
-      const changeType = Math.random();
+      const changeType = random();
       if (changeType < 0.33) {
         const nonBlueColors = COLOR_KEYS.filter(c => c !== "blue");
         return {
-          color: nonBlueColors[Math.floor(Math.random() * nonBlueColors.length)],
+          color: nonBlueColors[Math.floor(random() * nonBlueColors.length)],
           shape: "circle"
         };
       } else if (changeType < 0.66) {
         const nonCircleShapes = SHAPES.filter(s => s !== "circle");
         return {
           color: "blue",
-          shape: nonCircleShapes[Math.floor(Math.random() * nonCircleShapes.length)]
+          shape: nonCircleShapes[Math.floor(random() * nonCircleShapes.length)]
         };
       } else {
         const nonBlueColors = COLOR_KEYS.filter(c => c !== "blue");
         const nonCircleShapes = SHAPES.filter(s => s !== "circle");
         return {
-          color: nonBlueColors[Math.floor(Math.random() * nonBlueColors.length)],
-          shape: nonCircleShapes[Math.floor(Math.random() * nonCircleShapes.length)]
+          color: nonBlueColors[Math.floor(random() * nonBlueColors.length)],
+          shape: nonCircleShapes[Math.floor(random() * nonCircleShapes.length)]
         };
       }
     }
@@ -420,37 +1049,154 @@ const MODES = {
   multiTarget: {
     id: "multiTarget",
     label: "Multi-Target",
-    description: "Multiple shapes appear at once. Tap only when you see a blue circle among them!",
-    hint: "Find the blue circle among multiple shapes!",
+    description: "Search a display of shapes for the blue circle. Tap the circle itself if it's there, or press \"Not there\" if it isn't. The number of shapes changes every trial.",
+    hint: "Tap the blue circle — or \"Not there\".",
     useShapes: true,
     isMulti: true, // Flag for multi-symbol mode
+    isSpatial: true,
     unlockLevel: 5, // Unlocked at level 5
+    symbolCount: 8, // Largest set size in free play unless the player picks another
+    hideTargetCue: true, // A glowing target would pop out and defeat the search
+    endTrialOnResponse: true,
+    difficultyConfig: VISUAL_SEARCH_CONFIG,
+    responseLayout: "buttons",
+    choices: [
+      { id: "absent", label: "Not there", keys: [" "] }
+    ],
     isTarget: (color, shape) => color === "blue" && shape === "circle",
+    checkResponse: (response, trial) => trial.targetPresent
+      ? response.index === trial.targetIndex
+      : response === "absent",
+    initSession: function() {
+      // Cross presence with set size so each size gets its share of present and absent displays
+      const setSizes = VISUAL_SEARCH_SET_SIZES.filter(size => size <= state.symbolCount);
+      const presentCount = Math.round(state.targetProbability * state.maxTrials);
+      const plan = [];
+      for (let i = 0; i < state.maxTrials; i++) {
+        const present = i < presentCount;
+        const k = present ? i : i - presentCount;
+        plan.push({ present, setSize: setSizes[k % setSizes.length] });
+      }
+
+      state.modeData = {
+        plan: shuffleArray(plan),
+        trials: [] // { setSize, present, correct, reactionTime, onTarget, distance }
+      };
+    },
     // For multi-target, we generate an array of symbols
-    getTrialProps: (targetProbability, symbolCount = 2) => {
+    getTrialProps: () => {
+      const { present, setSize } = state.modeData.plan[state.trialIndex - 1];
+      const targetIndex = present ? Math.floor(random() * setSize) : null;
       const symbols = [];
-      const hasTarget = Math.random() < targetProbability;
-
-      if (hasTarget) {
-        // Add the target (blue circle) at a random position
-        const targetIndex = Math.floor(Math.random() * symbolCount);
-
-        for (let i = 0; i < symbolCount; i++) {
-          if (i === targetIndex) {
-            symbols.push({ color: "blue", shape: "circle" });
-          } else {
-            // Add a distractor (anything except blue circle)
-            symbols.push(generateDistractor());
-          }
-        }
-      } else {
-        // No target - all distractors
-        for (let i = 0; i < symbolCount; i++) {
-          symbols.push(generateDistractor());
+
+      for (let i = 0; i < setSize; i++) {
+        // The target (blue circle) or a distractor (anything except blue circle)
+        symbols.push(i === targetIndex ? { color: "blue", shape: "circle" } : generateDistractor());
+      }
+
+      // Every display needs an answer (tap the target or "Not there"), so each trial counts
+      // as a target; calculateScore scores present and absent displays apart
+      return { symbols, hasTarget: true, targetPresent: present, targetIndex, setSize };
+    },
+    onTrialEnd: function(trial, response) {
+      const tap = response && typeof response.response === "object" ? response.response : null;
+      state.modeData.trials.push({
+        setSize: trial.setSize,
+        present: trial.targetPresent,
+        correct: response ? response.correct : false,
+        reactionTime: response ? response.reactionTime : null,
+        onTarget: tap ? tap.index === trial.targetIndex : null,
+        distance: tap ? tap.distance : null
+      });
+    },
+    // Accuracy on present and absent displays, weighted equally, so a player who always
+    // answers "Not there" (or never does) can't score well
+    calculateScore: function() {
+      const trials = state.modeData.trials;
+      const accuracies = [true, false]
+        .map(present => trials.filter(t => t.present === present))
+        .filter(group => group.length > 0)
+        .map(group => group.filter(t => t.correct).length / group.length);
+      if (accuracies.length === 0) return 0;
+      return Math.round((accuracies.reduce((a, b) => a + b, 0) / accuracies.length) * 100);
+    },
+    getResults: function() {
+      const trials = state.modeData.trials;
+      const setSizes = [...new Set(trials.map(t => t.setSize))].sort((a, b) => a - b);
+
+      // Mean correct RT per set size, separately for present and absent displays
+      const meanRtFor = (present, setSize) => {
+        const rts = trials
+          .filter(t => t.present === present && t.setSize === setSize && t.correct)
+          .map(t => t.reactionTime);
+        return rts.length > 0 ? Math.round(rts.reduce((a, b) => a + b, 0) / rts.length) : null;
+      };
+      const bySetSize = setSizes.map(setSize => {
+        const sizeTrials = trials.filter(t => t.setSize === setSize);
+        return {
+          setSize,
+          presentRt: meanRtFor(true, setSize),
+          absentRt: meanRtFor(false, setSize),
+          accuracy: sizeTrials.filter(t => t.correct).length / sizeTrials.length
+        };
+      });
+
+      // Search slope: extra milliseconds per item in the display
+      const slopeFor = (key) => {
+        const fit = fitLine(bySetSize
+          .filter(row => row[key] !== null)
+          .map(row => ({ x: row.setSize, y: row[key] })));
+        return fit ? Math.round(fit.slope * 10) / 10 : null;
+      };
+      const presentSlope = slopeFor("presentRt");
+      const absentSlope = slopeFor("absentRt");
+
+      // Spatial accuracy: where taps landed on target-present displays
+      const taps = trials.filter(t => t.present && t.onTarget !== null);
+      const onTargetRate = taps.length > 0 ? taps.filter(t => t.onTarget).length / taps.length : null;
+      const distances = taps.filter(t => t.distance !== null).map(t => t.distance);
+      const meanTapOffset = distances.length > 0
+        ? Math.round(distances.reduce((a, b) => a + b, 0) / distances.length)
+        : null;
+
+      let comment = "Not enough correct answers to measure your search speed.";
+      if (presentSlope !== null) {
+        if (presentSlope < 10) {
+          comment = "Efficient search — extra shapes barely slow you down.";
+        } else if (presentSlope < 30) {
+          comment = "Moderately efficient search — each extra shape costs you a little time.";
+        } else {
+          comment = "Item-by-item search — every extra shape adds noticeable time.";
         }
       }
 
-      return { symbols, hasTarget };
+      const slowestRt = Math.max(1, ...bySetSize.map(row => Math.max(row.presentRt || 0, row.absentRt || 0)));
+
+      return {
+        title: "Visual Search",
+        metrics: [
+          { label: "Present Slope", value: presentSlope !== null ? `${presentSlope} ms/item` : "—" },
+          { label: "Absent Slope", value: absentSlope !== null ? `${absentSlope} ms/item` : "—" },
+          { label: "On-Target Taps", value: onTargetRate !== null ? `${Math.round(onTargetRate * 100)}%` : "—" },
+          { label: "Tap Offset", value: meanTapOffset !== null ? `${meanTapOffset} px` : "—" }
+        ],
+        details: {
+          title: "Mean RT by Set Size (present / absent)",
+          rows: bySetSize.map(row => ({
+            label: `${row.setSize} items`,
+            value: `${row.presentRt !== null ? row.presentRt : "—"} / ${row.absentRt !== null ? row.absentRt : "—"} ms`,
+            fill: (Math.max(row.presentRt || 0, row.absentRt || 0) / slowestRt) * 100
+          }))
+        },
+        comment,
+        data: {
+          presentSlope,
+          absentSlope,
+          onTargetRate,
+          meanTapOffset,
+          bySetSize
+        }
+      };
     }
   },
   // Focus Lab - standalone vigilance mode (not shown in dropdown)
@@ -465,37 +1211,39 @@ const MODES = {
     isHidden: true, // Don't show in mode selector - has its own UI
     // Dynamic target - set at session start
     currentTarget: { color: "blue", shape: "circle" },
+    previousTarget: null, // Set by reverseTarget (rule reversal)
     isTarget: function(color, shape) {
       return color === this.currentTarget.color && shape === this.currentTarget.shape;
     },
     // Pick a random target for this session
     randomizeTarget: function() {
-      const targets = [
-        { color: "blue", shape: "circle" },
-        { color: "blue", shape: "square" },
-        { color: "green", shape: "circle" },
-        { color: "red", shape: "triangle" },
-        { color: "purple", shape: "diamond" },
-        { color: "yellow", shape: "square" }
-      ];
-      this.currentTarget = targets[Math.floor(Math.random() * targets.length)];
+      this.currentTarget = FOCUS_TARGETS[Math.floor(random() * FOCUS_TARGETS.length)];
+      this.previousTarget = null;
+      return this.currentTarget;
+    },
+    // Switch to a different target mid-session (rule reversal); the old one is kept for lures
+    reverseTarget: function() {
+      const targets = FOCUS_TARGETS
+        .filter(t => t.color !== this.currentTarget.color || t.shape !== this.currentTarget.shape);
+      this.previousTarget = this.currentTarget;
+      this.currentTarget = targets[Math.floor(random() * targets.length)];
       return this.currentTarget;
     },
     getTrialProps: function(targetProbability) {
       const target = this.currentTarget;
 
-      if (Math.random() < targetProbability) {
+      if (random() < targetProbability) {
         return { color: target.color, shape: target.shape };
       }
 
       // Generate distractor - anything except the current target
-      const distractorType = Math.random();
+      const distractorType = random();
 
       if (distractorType < 0.4) {
         // Same shape, different color
         const otherColors = COLOR_KEYS.filter(c => c !== target.color);
         return {
-          color: otherColors[Math.floor(Math.random() * otherColors.length)],
+          color: otherColors[Math.floor(random() * otherColors.length)],
           shape: target.shape
         };
       } else if (distractorType < 0.7) {
@@ -503,32 +1251,1786 @@ const MODES = {
         const otherShapes = SHAPES.filter(s => s !== target.shape);
         return {
           color: target.color,
-          shape: otherShapes[Math.floor(Math.random() * otherShapes.length)]
+          shape: otherShapes[Math.floor(random() * otherShapes.length)]
         };
       } else {
         // Completely different
         const otherColors = COLOR_KEYS.filter(c => c !== target.color);
         const otherShapes = SHAPES.filter(s => s !== target.shape);
         return {
-          color: otherColors[Math.floor(Math.random() * otherColors.length)],
-          shape: otherShapes[Math.floor(Math.random() * otherShapes.length)]
+          color: otherColors[Math.floor(random() * otherColors.length)],
+          shape: otherShapes[Math.floor(random() * otherShapes.length)]
         };
       }
     }
-  }
-};
+  },
+  // Focus Lab Reversal - the target switches partway through, signalled only by feedback
+  focusLabReversal: {
+    id: "focusLabReversal",
+    label: "Focus Lab Reversal",
+    description: "Tap the target — but partway through, the target changes without warning. Follow the feedback.",
+    hint: "Tap the target! It may change.",
+    useShapes: true,
+    isVigilance: true,
+    isHidden: true, // Started from the Focus Lab section
+    hideTargetCue: true, // A glowing target would announce the reversal
+    difficultyConfig: REVERSAL_DIFFICULTY_CONFIG,
+    isTarget: (color, shape) => MODES.focusLab.isTarget(color, shape),
+    randomizeTarget: () => MODES.focusLab.randomizeTarget(),
+    // targetProbability is 1 or 0 here - the balanced trial list has already decided
+    getTrialProps: (targetProbability) => {
+      const config = REVERSAL_DIFFICULTY_CONFIG[state.difficulty];
+      const previous = MODES.focusLab.previousTarget;
 
-/**
- * Generates a distractor (any color/shape combo except blue circle)
- */
-function generateDistractor() {
-  const distractorType = Math.random();
+      if (targetProbability === 1) {
+        return MODES.focusLab.getTrialProps(1);
+      }
+      // After a reversal the old target keeps showing up among the non-targets, so sticking
+      // with it is visible. oldTargetProbability is its share of all trials, so the draw on a
+      // non-target is that share over the list's actual non-target share.
+      const nonTargetShare = state.trialList.filter(isTarget => !isTarget).length / state.trialList.length;
+      if (previous && random() < Math.min(1, config.oldTargetProbability / nonTargetShare)) {
+        return { color: previous.color, shape: previous.shape };
+      }
+      return MODES.focusLab.getTrialProps(0);
+    },
+    initSession: function() {
+      const config = REVERSAL_DIFFICULTY_CONFIG[state.difficulty];
+
+      // Reversals split the session into equal blocks, each point jittered by a few trials
+      const reversalTrials = [];
+      for (let i = 1; i <= config.reversals; i++) {
+        const jitter = Math.floor(random() * 7) - 3;
+        reversalTrials.push(Math.round((state.maxTrials * i) / (config.reversals + 1)) + jitter);
+      }
 
-  if (distractorType < 0.4) {
-    // Non-blue circle (tempting!)
-    const nonBlueColors = COLOR_KEYS.filter(c => c !== "blue");
+      state.modeData = {
+        reversalTrials,
+        trials: [] // { isTarget, isOldTarget, responded, correct }
+      };
+    },
+    onTrialEnd: function(trial, response) {
+      const previous = MODES.focusLab.previousTarget;
+      const responded = response !== null;
+
+      state.modeData.trials.push({
+        isTarget: state.currentIsTarget,
+        isOldTarget: previous !== null && trial.color === previous.color && trial.shape === previous.shape,
+        responded,
+        correct: state.currentIsTarget === responded
+      });
+
+      // Misses get feedback too - otherwise a silent switch could never be noticed
+      if (state.currentIsTarget && !responded) {
+        playSound("fail");
+      }
+
+      // Switch before the next trial is drawn
+      if (state.modeData.reversalTrials.includes(state.trialIndex + 1)) {
+        MODES.focusLab.reverseTarget();
+      }
+    },
+    getResults: function() {
+      const { trials, reversalTrials } = state.modeData;
+
+      const reversals = reversalTrials
+        .filter(start => start <= trials.length)
+        .map((start, i, starts) => {
+          const end = i + 1 < starts.length ? starts[i + 1] - 1 : trials.length;
+          const block = trials.slice(start - 1, end);
+
+          // Trials until the first run of REVERSAL_CRITERION correct trials is complete
+          let run = 0;
+          let trialsToCriterion = null;
+          for (let t = 0; t < block.length; t++) {
+            run = block[t].correct ? run + 1 : 0;
+            if (run >= REVERSAL_CRITERION) {
+              trialsToCriterion = t + 1;
+              break;
+            }
+          }
+
+          return {
+            trial: start,
+            blockLength: block.length,
+            trialsToCriterion,
+            perseverativeErrors: block.filter(t => t.isOldTarget && t.responded).length
+          };
+        });
+
+      const reached = reversals.filter(r => r.trialsToCriterion !== null);
+      const meanTrialsToCriterion = reached.length > 0
+        ? Math.round((reached.reduce((sum, r) => sum + r.trialsToCriterion, 0) / reached.length) * 10) / 10
+        : null;
+      const perseverativeErrors = reversals.reduce((sum, r) => sum + r.perseverativeErrors, 0);
+
+      let comment;
+      if (reversals.length === 0) {
+        comment = "The session ended before the target changed.";
+      } else if (reached.length < reversals.length) {
+        comment = "At least one switch went unnoticed — when taps start failing, look for what's changed.";
+      } else if (perseverativeErrors === 0) {
+        comment = "Flexible — you dropped the old target straight away.";
+      } else if (perseverativeErrors <= reversals.length * 2) {
+        comment = "You caught the switches after a couple of slips on the old target.";
+      } else {
+        comment = "The old target kept pulling you back — habits are hard to break.";
+      }
+
+      return {
+        title: "Flexibility",
+        metrics: [
+          { label: "Switches", value: reversals.length },
+          { label: "Trials to Criterion", value: meanTrialsToCriterion !== null ? meanTrialsToCriterion : "—" },
+          { label: "Perseverative Errors", value: perseverativeErrors }
+        ],
+        details: {
+          title: `Trials to ${REVERSAL_CRITERION} Correct After Each Switch`,
+          rows: reversals.map((r, i) => ({
+            label: `Switch ${i + 1}`,
+            value: `${r.trialsToCriterion !== null ? r.trialsToCriterion : "—"} · ${r.perseverativeErrors} old`,
+            fill: r.trialsToCriterion !== null ? (r.trialsToCriterion / r.blockLength) * 100 : 100
+          }))
+        },
+        comment,
+        data: {
+          criterion: REVERSAL_CRITERION,
+          meanTrialsToCriterion,
+          perseverativeErrors,
+          reversals
+        }
+      };
+    }
+  },
+  // Focus Lab SART - Sustained Attention to Response Task (not shown in dropdown)
+  // Inverts focusLab: tap every stimulus EXCEPT the session's target
+  focusLabSart: {
+    id: "focusLabSart",
+    label: "Focus Lab SART",
+    description: "Tap for every shape except the rare no-go target.",
+    hint: "Tap everything except the target!",
+    useShapes: true,
+    isVigilance: true,
+    isHidden: true, // Started from the Focus Lab section
+    hideTargetCue: true, // Go trials must not glow - every tap should be a decision
+    difficultyConfig: SART_DIFFICULTY_CONFIG,
+    // The no-go target is the Focus Lab target for this session
+    isTarget: (color, shape) => !MODES.focusLab.isTarget(color, shape),
+    randomizeTarget: () => MODES.focusLab.randomizeTarget(),
+    getTrialProps: (targetProbability) => {
+      // focusLab draws its target with the given probability - here that is the no-go
+      return MODES.focusLab.getTrialProps(1 - targetProbability);
+    },
+    initSession: function() {
+      state.modeData = {
+        trials: [] // { isGo, responded, reactionTime }
+      };
+    },
+    onTrialEnd: function(trial, response) {
+      state.modeData.trials.push({
+        isGo: state.currentIsTarget,
+        responded: response !== null,
+        reactionTime: response !== null ? response.reactionTime : null
+      });
+    },
+    getResults: function() {
+      const trials = state.modeData.trials;
+      const noGoTrials = trials.filter(t => !t.isGo).length;
+      const commissions = state.falseTaps;
+      const omissions = state.misses;
+
+      // "Mindless responding": go RTs just before a no-go, split by whether it was withheld
+      const preErrorRts = [];
+      const preCorrectRts = [];
+      trials.forEach((trial, i) => {
+        if (trial.isGo) return;
+        const preceding = trials
+          .slice(Math.max(0, i - SART_PRE_NOGO_WINDOW), i)
+          .filter(t => t.isGo && t.responded)
+          .map(t => t.reactionTime);
+        (trial.responded ? preErrorRts : preCorrectRts).push(...preceding);
+      });
+
+      const mean = (values) => values.length > 0
+        ? Math.round(values.reduce((a, b) => a + b, 0) / values.length)
+        : null;
+      const preErrorRt = mean(preErrorRts);
+      const preCorrectRt = mean(preCorrectRts);
+      const speeding = preErrorRt !== null && preCorrectRt !== null
+        ? preCorrectRt - preErrorRt
+        : null;
+
+      let comment;
+      if (commissions === 0) {
+        comment = "Not a single slip — you stayed in control the whole way.";
+      } else if (speeding !== null && speeding > 30) {
+        comment = `You sped up by ${speeding} ms before slips — a sign of running on autopilot.`;
+      } else if (commissions <= noGoTrials / 3) {
+        comment = "A few slips, but you mostly caught the no-go target in time.";
+      } else {
+        comment = "The taps ran ahead of you. Slow down slightly to stay in control.";
+      }
+
+      return {
+        title: "Response Control",
+        metrics: [
+          { label: "Commission Errors", value: `${commissions} / ${noGoTrials}` },
+          { label: "Omission Errors", value: omissions },
+          { label: "Pre-Error RT", value: preErrorRt !== null ? `${preErrorRt} ms` : "—" },
+          { label: "Pre-Error Speeding", value: speeding !== null ? `${speeding} ms` : "—" }
+        ],
+        comment,
+        data: {
+          commissionErrors: commissions,
+          omissionErrors: omissions,
+          noGoTrials,
+          preErrorRt,
+          preCorrectRt,
+          preErrorSpeeding: speeding
+        }
+      };
+    }
+  },
+  // Psychomotor Vigilance Task - tap as soon as the counter starts after a random wait
+  pvt: {
+    id: "pvt",
+    label: "Reaction Vigilance (PVT)",
+    description: "Watch the empty screen. The moment the counter starts, tap as fast as you can. Don't jump the gun!",
+    hint: "Tap the instant the counter starts!",
+    useShapes: false,
+    isStandalone: true,
+    isVigilance: true,
+    hideTargetCue: true,
+    endTrialOnResponse: true, // Move on right after the tap instead of waiting out the window
+    difficultyConfig: PVT_DIFFICULTY_CONFIG,
+    isTarget: () => true,
+    getTrialProps: () => {
+      return { color: "yellow", shape: "counter", foreperiod: getRandomTrialDuration() };
+    },
+    // Foreperiod plus the time allowed to respond once the counter is running
+    getTrialDuration: (trial) => trial.foreperiod + PVT_DIFFICULTY_CONFIG[state.difficulty].responseWindow,
+    onTrialStart: function(trial) {
+      state.awaitingOnset = true;
+
+      scheduleTrialEvent(() => {
+        elements.symbol.textContent = "0";
+        markStimulusOnset(() => {
+          // Running millisecond counter, redrawn each frame until the player taps
+          const counter = scheduleTrialFrameUpdates(() => {
+            if (state.hasTappedThisTrial) {
+              clearFrameTimeout(counter);
+              return;
+            }
+            elements.symbol.textContent = Math.round(getNextPaintTime() - state.trialStartTime);
+          });
+        });
+      }, trial.foreperiod);
+    },
+    onResponse: function(response) {
+      elements.symbol.textContent = Math.round(response.reactionTime);
+    },
+    getResults: function() {
+      const rts = [...state.reactionTimes].sort((a, b) => a - b);
+
+      let medianRt = null;
+      let slowestTenthRt = null;
+      if (rts.length > 0) {
+        const mid = Math.floor(rts.length / 2);
+        medianRt = Math.round(rts.length % 2 === 0 ? (rts[mid - 1] + rts[mid]) / 2 : rts[mid]);
+
+        const slowest = rts.slice(rts.length - Math.max(1, Math.round(rts.length * 0.1)));
+        slowestTenthRt = Math.round(slowest.reduce((a, b) => a + b, 0) / slowest.length);
+      }
+
+      // Lapses: slow responses plus trials with no response at all
+      const lapses = rts.filter(rt => rt > PVT_LAPSE_THRESHOLD).length + state.misses;
+
+      // Response speed (1/RT, per second) - misses count as zero speed
+      const speeds = rts.map(rt => 1000 / rt);
+      const responseCount = speeds.length + state.misses;
+      const meanSpeed = responseCount > 0
+        ? speeds.reduce((a, b) => a + b, 0) / responseCount
+        : 0;
+
+      let comment;
+      if (lapses === 0 && state.falseStarts === 0) {
+        comment = "Wide awake — no lapses and no false starts.";
+      } else if (lapses === 0) {
+        comment = "Sharp, but a little trigger-happy. Wait for the counter!";
+      } else if (lapses <= 2) {
+        comment = "Mostly alert, with the odd lapse.";
+      } else {
+        comment = "Several lapses — your alertness dipped. Rest can help.";
+      }
+
+      return {
+        title: "Alertness",
+        metrics: [
+          { label: "Median RT", value: medianRt !== null ? `${medianRt} ms` : "—" },
+          { label: "Slowest 10%", value: slowestTenthRt !== null ? `${slowestTenthRt} ms` : "—" },
+          { label: "Lapses", value: lapses },
+          { label: "False Starts", value: state.falseStarts },
+          { label: "Speed (1/RT)", value: `${meanSpeed.toFixed(2)}/s` }
+        ],
+        comment,
+        data: {
+          medianRt,
+          slowestTenthRt,
+          lapses,
+          falseStarts: state.falseStarts,
+          meanSpeed: Math.round(meanSpeed * 1000) / 1000
+        }
+      };
+    },
+    /**
+     * PVT score from mean response speed (1/RT)
+     * 1/s (1000 ms) or slower = 0, 4/s (250 ms) or faster = 100, minus 5 per false start
+     */
+    calculateScore: function() {
+      const speeds = state.reactionTimes.map(rt => 1000 / rt);
+      const responseCount = speeds.length + state.misses;
+      if (responseCount === 0) return 0;
+
+      const meanSpeed = speeds.reduce((a, b) => a + b, 0) / responseCount;
+      const score = Math.round(((meanSpeed - 1) / 3) * 100) - state.falseStarts * 5;
+      return Math.max(0, Math.min(100, score));
+    }
+  },
+  // N-Back - tap when the symbol matches the one shown N trials earlier
+  nBack: {
+    id: "nBack",
+    label: "N-Back",
+    description: "Tap when the symbol is the same color and shape as the one N steps back.",
+    hint: "Tap if it matches the one N back!",
+    useShapes: true,
+    unlockLevel: 13, // Unlocked at level 13
+    hideTargetCue: true, // A glow would give the match away
+    difficultyConfig: N_BACK_CONFIG,
+    isTarget: (color, shape, trial) => trial.isMatch,
+    // The whole sequence is built at session start so the match rate is exact
+    getTrialProps: () => state.modeData.sequence[state.trialIndex - 1],
+    initSession: function() {
+      // A fresh set of distinct color/shape combinations for this session
+      const combos = [];
+      COLOR_KEYS.forEach(color => SHAPES.forEach(shape => combos.push({ color, shape })));
+      const pool = shuffleArray(combos).slice(0, N_BACK_STIMULUS_COUNT);
+
+      state.modeData = {
+        sequence: buildNBackSequence(state.maxTrials, state.nBackLevel, state.targetProbability, state.nBackLures, pool)
+      };
+    },
+    getResults: function() {
+      const sequence = state.modeData.sequence;
+      const nonMatches = sequence.filter(t => !t.isMatch).length;
+      const lures = sequence.filter(t => t.isLure).length;
+      const hitRate = state.totalTargets > 0 ? Math.round((state.hits / state.totalTargets) * 100) : 0;
+      const falseAlarmRate = nonMatches > 0 ? Math.round((state.falseTaps / nonMatches) * 100) : 0;
+
+      let comment;
+      if (hitRate >= 80 && falseAlarmRate <= 10) {
+        comment = `Excellent ${state.nBackLevel}-back memory — ready to try a higher N?`;
+      } else if (hitRate >= 60) {
+        comment = "Good tracking. Keep rehearsing the last few symbols in your head.";
+      } else {
+        comment = "Losing the thread — try a lower N to build up.";
+      }
+
+      const metrics = [
+        { label: "N", value: state.nBackLevel },
+        { label: "Match Hits", value: `${hitRate}%` },
+        { label: "False Alarms", value: `${falseAlarmRate}%` }
+      ];
+      if (state.nBackLures) {
+        metrics.push({ label: "Lures", value: lures });
+      }
+
+      return {
+        title: "Working Memory",
+        metrics,
+        comment,
+        data: {
+          n: state.nBackLevel,
+          lures: state.nBackLures,
+          lureTrials: lures,
+          matchTrials: state.totalTargets,
+          hitRate,
+          falseAlarmRate
+        }
+      };
+    }
+  },
+  // Task Switching - a cue says which rule applies: tap blue (COLOR) or tap circles (SHAPE)
+  taskSwitch: {
+    id: "taskSwitch",
+    label: "Task Switching",
+    description: "A cue tells you the rule: COLOR means tap anything blue, SHAPE means tap any circle. The rule can change every trial!",
+    hint: "Follow the cue: COLOR → blue, SHAPE → circle.",
+    useShapes: true,
+    isStandalone: true,
+    hideTargetCue: true,
+    difficultyConfig: TASK_SWITCH_CONFIG,
+    anticipationFloor: CHOICE_ANTICIPATION_FLOOR,
+    // The target depends on the rule cued for this trial
+    isTarget: (color, shape, trial) => trial.rule === "color" ? color === "blue" : shape === "circle",
+    getTrialProps: (targetProbability) => {
+      const rule = state.modeData.rules[state.trialIndex - 1];
+      const isTarget = random() < targetProbability;
+      // Half the stimuli are incongruent: the other rule would give the opposite answer
+      const otherRuleAgrees = random() < 0.5;
+
+      const nonBlueColors = COLOR_KEYS.filter(c => c !== "blue");
+      const nonCircleShapes = SHAPES.filter(s => s !== "circle");
+      const pickColor = (blue) => blue ? "blue" : nonBlueColors[Math.floor(random() * nonBlueColors.length)];
+      const pickShape = (circle) => circle ? "circle" : nonCircleShapes[Math.floor(random() * nonCircleShapes.length)];
+
+      const colorMatches = rule === "color" ? isTarget : (otherRuleAgrees ? isTarget : !isTarget);
+      const shapeMatches = rule === "shape" ? isTarget : (otherRuleAgrees ? isTarget : !isTarget);
+
+      return {
+        color: pickColor(colorMatches),
+        shape: pickShape(shapeMatches),
+        rule,
+        condition: state.trialIndex === 1
+          ? "first"
+          : (rule === state.modeData.rules[state.trialIndex - 2] ? "repeat" : "switch")
+      };
+    },
+    getTrialDuration: () => {
+      const config = TASK_SWITCH_CONFIG[state.difficulty];
+      return config.cueDuration + config.trialDuration;
+    },
+    initSession: function() {
+      const config = TASK_SWITCH_CONFIG[state.difficulty];
+      state.modeData = {
+        rules: buildRuleSequence(state.maxTrials, ["color", "shape"], config.switchProbability),
+        trials: [] // { condition, correct, reactionTime }
+      };
+    },
+    onTrialStart: function(trial) {
+      const config = TASK_SWITCH_CONFIG[state.difficulty];
+
+      // Cue first, stimulus after the cue-to-stimulus interval
+      state.awaitingOnset = true;
+      elements.symbol.classList.add("hidden");
+      showTrialCue(trial.rule === "color" ? "COLOR" : "SHAPE");
+
+      scheduleTrialEvent(() => {
+        elements.symbol.classList.remove("hidden");
+        markStimulusOnset();
+      }, config.cueDuration);
+    },
+    onTrialEnd: function(trial, response) {
+      const responded = response !== null;
+      state.modeData.trials.push({
+        condition: trial.condition,
+        correct: responded === state.currentIsTarget,
+        reactionTime: responded && state.currentIsTarget ? response.reactionTime : null
+      });
+    },
+    getResults: function() {
+      const conditions = summarizeConditions(state.modeData.trials, ["repeat", "switch"]);
+      const { repeat, switch: switchTrials } = conditions;
+
+      const rtCost = repeat.meanRt !== null && switchTrials.meanRt !== null
+        ? switchTrials.meanRt - repeat.meanRt
+        : null;
+      const accuracyCost = repeat.trials > 0 && switchTrials.trials > 0
+        ? repeat.accuracy - switchTrials.accuracy
+        : null;
+
+      let comment;
+      if (rtCost === null) {
+        comment = "Not enough correct taps on both trial types to measure a switch cost.";
+      } else if (rtCost < 50 && (accuracyCost === null || accuracyCost < 10)) {
+        comment = "Smooth switching — changing rules barely slowed you down.";
+      } else if (rtCost < 150) {
+        comment = "A typical switch cost — your brain needs a moment to reconfigure.";
+      } else {
+        comment = "Switching rules is costly for you. Use the cue time to get ready.";
+      }
+
+      return {
+        title: "Cognitive Flexibility",
+        metrics: [
+          { label: "Switch Cost", value: rtCost !== null ? `${rtCost} ms` : "—" },
+          { label: "Accuracy Cost", value: accuracyCost !== null ? `${accuracyCost}%` : "—" }
+        ],
+        details: {
+          title: "By Trial Type",
+          rows: [repeat, switchTrials].map(c => ({
+            label: c.condition === "repeat" ? "Repeat" : "Switch",
+            value: `${c.meanRt !== null ? `${c.meanRt} ms` : "—"} · ${c.accuracy}%`,
+            fill: c.accuracy
+          }))
+        },
+        comment,
+        data: {
+          switchCostRt: rtCost,
+          switchCostAccuracy: accuracyCost,
+          repeatRt: repeat.meanRt,
+          switchRt: switchTrials.meanRt,
+          repeatAccuracy: repeat.accuracy,
+          switchAccuracy: switchTrials.accuracy
+        }
+      };
+    }
+  },
+  // AX-CPT - tap only for the probe X when the cue before it was A
+  // The target is defined by the pair (sequence context), not by what is on screen
+  axCpt: {
+    id: "axCpt",
+    label: "AX Continuous Performance",
+    description: "Letters come in pairs. Tap only when an X follows an A — not for X after any other letter, and never for the first letter.",
+    hint: "Tap X only if A came right before it.",
+    useShapes: false,
+    isStandalone: true,
+    hideTargetCue: true,
+    difficultyConfig: AX_CPT_CONFIG,
+    isTarget: (color, shape, trial) => trial.type === "AX",
+    getTrialProps: () => {
+      const type = state.modeData.types[state.trialIndex - 1];
+      const cue = type[0] === "A" ? "A" : AX_CPT_B_LETTERS[Math.floor(random() * AX_CPT_B_LETTERS.length)];
+      const probe = type[1] === "X" ? "X" : AX_CPT_Y_LETTERS[Math.floor(random() * AX_CPT_Y_LETTERS.length)];
+      return { color: "blue", shape: "word", word: cue, cue, probe, type };
+    },
+    getTrialDuration: () => {
+      const config = AX_CPT_CONFIG[state.difficulty];
+      return config.cueDuration + config.cueProbeDelay + config.trialDuration;
+    },
+    initSession: function() {
+      // Exact pair counts: AX share from targetProbability, the rest split over AY/BX/BY
+      const axCount = Math.round(state.targetProbability * state.maxTrials);
+      const types = [];
+      for (let i = 0; i < state.maxTrials; i++) {
+        types.push(i < axCount ? "AX" : ["AY", "BX", "BY"][(i - axCount) % 3]);
+      }
+
+      state.modeData = {
+        types: shuffleArray(types),
+        trials: [] // { type, responded }
+      };
+    },
+    onTrialStart: function(trial) {
+      const config = AX_CPT_CONFIG[state.difficulty];
+
+      // Cue letter is on screen from the start; responses only count once the probe shows
+      state.awaitingOnset = true;
+
+      scheduleTrialEvent(() => {
+        elements.symbol.textContent = "";
+      }, config.cueDuration);
+
+      scheduleTrialEvent(() => {
+        elements.symbol.textContent = trial.probe;
+        markStimulusOnset();
+      }, config.cueDuration + config.cueProbeDelay);
+    },
+    onTrialEnd: function(trial, response) {
+      state.modeData.trials.push({ type: trial.type, responded: response !== null });
+    },
+    getResults: function() {
+      const trials = state.modeData.trials;
+      const byType = {};
+      ["AX", "AY", "BX", "BY"].forEach(type => {
+        const typeTrials = trials.filter(t => t.type === type);
+        const responded = typeTrials.filter(t => t.responded).length;
+        // Errors: missing an AX, or tapping on any other pair
+        const errors = type === "AX" ? typeTrials.length - responded : responded;
+        byType[type] = {
+          trials: typeTrials.length,
+          responded,
+          errorRate: typeTrials.length > 0 ? errors / typeTrials.length : 0
+        };
+      });
+
+      // Proactive Behavioral Index: AY errors come from over-preparing on the A cue,
+      // BX errors from failing to use the cue. +1 = fully proactive, -1 = fully reactive.
+      const ayErrors = byType.AY.errorRate;
+      const bxErrors = byType.BX.errorRate;
+      const pbi = ayErrors + bxErrors > 0
+        ? Math.round(((ayErrors - bxErrors) / (ayErrors + bxErrors)) * 100) / 100
+        : null;
+
+      // d'-context: how well the cue separates AX targets from BX lures
+      const dPrimeContext = byType.AX.trials > 0 && byType.BX.trials > 0
+        ? Math.round((zScore(correctedRate(byType.AX.responded, byType.AX.trials)) -
+            zScore(correctedRate(byType.BX.responded, byType.BX.trials))) * 100) / 100
+        : null;
+
+      let style = "Balanced";
+      let comment = "You used the cue well without over-committing to it.";
+      if (pbi === null) {
+        style = "—";
+        comment = "No AY or BX errors — context control was spot on.";
+      } else if (pbi > 0.3) {
+        style = "Proactive";
+        comment = "You plan ahead from the cue — fast on AX, but A sometimes tricks you into tapping a Y.";
+      } else if (pbi < -0.3) {
+        style = "Reactive";
+        comment = "You decide when the probe appears — X after the wrong cue still catches you.";
+      }
+
+      return {
+        title: "Context Control",
+        metrics: [
+          { label: "Control Style", value: style },
+          { label: "Proactive Index", value: pbi !== null ? pbi : "—" },
+          { label: "d′-context", value: dPrimeContext !== null ? dPrimeContext : "—" }
+        ],
+        details: {
+          title: "Error Rate by Pair",
+          rows: ["AX", "AY", "BX", "BY"].map(type => ({
+            label: type,
+            value: `${Math.round(byType[type].errorRate * 100)}% (${byType[type].trials})`,
+            fill: byType[type].errorRate * 100
+          }))
+        },
+        comment,
+        data: {
+          proactiveIndex: pbi,
+          dPrimeContext,
+          errorRates: {
+            AX: byType.AX.errorRate,
+            AY: byType.AY.errorRate,
+            BX: byType.BX.errorRate,
+            BY: byType.BY.errorRate
+          }
+        }
+      };
+    }
+  },
+  // Posner Cueing - measures orienting of attention to a flashed location
+  // Two boxes sit left and right; one flashes, then the target fills the same box (valid) or the other (invalid)
+  posner: {
+    id: "posner",
+    label: "Spatial Cueing",
+    description: "Two boxes sit on either side. One flashes, then a circle appears in one of them — often not the one that flashed. Tap as soon as you see the circle.",
+    hint: "Ignore the flash. Tap when the circle appears.",
+    useShapes: false,
+    isStandalone: true,
+    isMulti: true,
+    symbolCount: 2,
+    symbolLayout: "sidePair", // Fixed left/right boxes in SYMBOL_POSITIONS
+    hideTargetCue: true,
+    endTrialOnResponse: true,
+    difficultyConfig: POSNER_CONFIG,
+    isTarget: () => true,
+    initSession: function() {
+      // Fully crossed side x validity x interval, then shuffled
+      const plan = [];
+      for (let i = 0; i < state.maxTrials; i++) {
+        plan.push({
+          cueSide: i % 2,
+          valid: Math.floor(i / 2) % 2 === 0,
+          soaKey: Math.floor(i / 4) % 2 === 0 ? "short" : "long"
+        });
+      }
+
+      state.modeData = {
+        plan: shuffleArray(plan),
+        trials: [] // { condition, correct, reactionTime }
+      };
+    },
+    getTrialProps: () => {
+      const { cueSide, valid, soaKey } = state.modeData.plan[state.trialIndex - 1];
+      const config = POSNER_CONFIG[state.difficulty];
+      return {
+        symbols: [{ shape: "square", placeholder: true }, { shape: "square", placeholder: true }],
+        hasTarget: true,
+        cueSide,
+        targetSide: valid ? cueSide : 1 - cueSide,
+        soa: soaKey === "short" ? config.shortSoa : config.longSoa,
+        preCueDelay: POSNER_PRE_CUE_MIN + random() * (POSNER_PRE_CUE_MAX - POSNER_PRE_CUE_MIN),
+        condition: `${soaKey}-${valid ? "valid" : "invalid"}`
+      };
+    },
+    getTrialDuration: (trial) => trial.preCueDelay + trial.soa + POSNER_CONFIG[state.difficulty].trialDuration,
+    onTrialStart: function(trial) {
+      const config = POSNER_CONFIG[state.difficulty];
+      const boxes = elements.symbolsContainer.querySelectorAll(".symbol-multi");
+
+      // Only the target counts - taps during the wait or after the cue are false starts
+      state.awaitingOnset = true;
+
+      scheduleTrialEvent(() => {
+        boxes[trial.cueSide].classList.add("cued");
+      }, trial.preCueDelay);
+
+      scheduleTrialEvent(() => {
+        boxes[trial.cueSide].classList.remove("cued");
+      }, trial.preCueDelay + config.cueDuration);
+
+      scheduleTrialEvent(() => {
+        const target = boxes[trial.targetSide];
+        target.classList.remove("placeholder");
+        target.classList.replace("shape-square", "shape-circle");
+        target.style.backgroundColor = COLORS.blue;
+        markStimulusOnset();
+      }, trial.preCueDelay + trial.soa);
+    },
+    onTrialEnd: recordChoiceTrial,
+    getResults: function() {
+      const conditions = summarizeConditions(state.modeData.trials,
+        ["short-valid", "short-invalid", "long-valid", "long-invalid"]);
+      const shortValid = conditions["short-valid"].meanRt;
+      const shortInvalid = conditions["short-invalid"].meanRt;
+      const longValid = conditions["long-valid"].meanRt;
+      const longInvalid = conditions["long-invalid"].meanRt;
+
+      // Validity effect: cost of the target appearing away from a recent cue
+      const validityEffect = shortValid !== null && shortInvalid !== null ? shortInvalid - shortValid : null;
+      // Inhibition of return: at long intervals the cued side becomes the slower one
+      const iorEffect = longValid !== null && longInvalid !== null ? longValid - longInvalid : null;
+
+      let comment = "Not enough responses to measure your orienting.";
+      if (validityEffect !== null && iorEffect !== null) {
+        if (validityEffect > 0 && iorEffect > 0) {
+          comment = "Textbook orienting — the flash grabs your attention, then your attention avoids going back there.";
+        } else if (validityEffect > 0) {
+          comment = "The flash pulls your attention, and it still lingers there after a long wait.";
+        } else {
+          comment = "The flash barely moves your attention — you keep a wide focus.";
+        }
+      }
+
+      const slowestRt = Math.max(1, shortValid || 0, shortInvalid || 0, longValid || 0, longInvalid || 0);
+      const labels = {
+        "short-valid": "Short · cued side",
+        "short-invalid": "Short · other side",
+        "long-valid": "Long · cued side",
+        "long-invalid": "Long · other side"
+      };
+
+      return {
+        title: "Attention Orienting",
+        metrics: [
+          { label: "Validity Effect", value: validityEffect !== null ? `${validityEffect} ms` : "—" },
+          { label: "Inhibition of Return", value: iorEffect !== null ? `${iorEffect} ms` : "—" }
+        ],
+        details: {
+          title: "Mean RT by Cue",
+          rows: Object.keys(labels).map(key => ({
+            label: labels[key],
+            value: conditions[key].meanRt !== null ? `${conditions[key].meanRt} ms` : "—",
+            fill: ((conditions[key].meanRt || 0) / slowestRt) * 100
+          }))
+        },
+        comment,
+        data: {
+          validityEffect,
+          iorEffect,
+          conditions
+        }
+      };
+    }
+  },
+  // Auditory Go/No-Go - tones instead of shapes, for a non-visual version of the task
+  auditoryGoNoGo: {
+    id: "auditoryGoNoGo",
+    label: "Listen & Tap",
+    description: "No shapes to watch — listen instead. Tap when you hear the high beep. Stay still for any lower tone. Turn your sound on!",
+    hint: "Tap on the high beep only. 🔊",
+    useShapes: false,
+    isStandalone: true,
+    hideTargetCue: true, // The screen must not give the answer away
+    difficultyConfig: AUDITORY_GO_NOGO_CONFIG,
+    isTarget: (color, shape, trial) => trial.frequency === AUDITORY_GO_FREQUENCY,
+    getTrialProps: (targetProbability) => {
+      const noGoFrequencies = AUDITORY_GO_NOGO_CONFIG[state.difficulty].noGoFrequencies;
+      const isGo = random() < targetProbability;
+      return {
+        color: "blue",
+        shape: "word",
+        word: "♪",
+        frequency: isGo ? AUDITORY_GO_FREQUENCY : noGoFrequencies[Math.floor(random() * noGoFrequencies.length)],
+        condition: isGo ? "go" : "nogo"
+      };
+    },
+    getTrialDuration: () => AUDITORY_ONSET_LEAD * 1000 + AUDITORY_GO_NOGO_CONFIG[state.difficulty].trialDuration,
+    initSession: function() {
+      state.modeData = {
+        trials: [] // { condition, correct, reactionTime }
+      };
+    },
+    onTrialStart: function(trial) {
+      // Schedule the tone on the audio clock and time responses from its real onset
+      const onset = playTone(trial.frequency, AUDITORY_TONE_DURATION, "sine", 0.3,
+        audioContext ? audioContext.currentTime + AUDITORY_ONSET_LEAD : null);
+      const onsetTime = onset !== null
+        ? audioTimeToPerformanceTime(onset)
+        : performance.now() + AUDITORY_ONSET_LEAD * 1000;
+
+      state.awaitingOnset = true;
+      state.trialStartTime = onsetTime;
+      scheduleTrialEvent(() => {
+        state.awaitingOnset = false;
+      }, Math.max(0, onsetTime - performance.now()));
+    },
+    onTrialEnd: function(trial, response) {
+      state.modeData.trials.push({
+        condition: trial.condition,
+        // Go: any tap is right; no-go: holding still is right
+        correct: trial.condition === "go" ? response !== null : response === null,
+        reactionTime: response !== null ? response.reactionTime : null
+      });
+    },
+    getResults: function() {
+      const conditions = summarizeConditions(state.modeData.trials, ["go", "nogo"]);
+      const commissionRate = conditions.nogo.trials > 0 ? 100 - conditions.nogo.accuracy : 0;
+      const omissionRate = conditions.go.trials > 0 ? 100 - conditions.go.accuracy : 0;
+      // Hardware output delay is already folded into the onset time where the browser reports it
+      const outputLatency = audioContext
+        ? Math.round(((audioContext.outputLatency || 0) + (audioContext.baseLatency || 0)) * 1000)
+        : null;
+
+      let comment = "Good ear — you picked out the high beep and held still for the rest.";
+      if (commissionRate > 30) {
+        comment = "Lower tones are catching you — wait until you're sure it's the high beep.";
+      } else if (omissionRate > 30) {
+        comment = "You missed quite a few high beeps — check your volume and stay ready.";
+      }
+
+      return {
+        title: "Listening Control",
+        metrics: [
+          { label: "Go RT (from sound)", value: conditions.go.meanRt !== null ? `${conditions.go.meanRt} ms` : "—" },
+          { label: "Taps on Low Tones", value: `${commissionRate}%` },
+          { label: "Missed High Beeps", value: `${omissionRate}%` }
+        ],
+        comment,
+        data: {
+          goRt: conditions.go.meanRt,
+          commissionRate,
+          omissionRate,
+          outputLatency,
+          modality: "auditory"
+        }
+      };
+    }
+  },
+  // Rhythm Tapping - synchronization-continuation: tap with a beat, then keep it going alone
+  // Each beat owns one trial window centred on it, so a tap's response time is its asynchrony
+  rhythm: {
+    id: "rhythm",
+    label: "Rhythm",
+    description: "Tap along with the beat. When the beat stops, keep tapping at the same pace until the round ends. Turn your sound on!",
+    hint: "Tap with the beat — then keep it going.",
+    useShapes: false,
+    isStandalone: true,
+    isTiming: true,
+    hideTargetCue: true,
+    difficultyConfig: RHYTHM_CONFIG,
+    isTarget: () => true,
+    getTrialProps: () => {
+      const config = RHYTHM_CONFIG[state.difficulty];
+      const beat = state.trialIndex - 1;
+      return {
+        color: "blue",
+        shape: "word",
+        word: "♩",
+        beat,
+        phase: beat < config.syncBeats ? "sync" : "continuation"
+      };
+    },
+    initSession: function() {
+      const config = RHYTHM_CONFIG[state.difficulty];
+
+      // Lay the whole beat grid out on the audio clock up front, so timer jitter can't
+      // shift the beat; continuation beats are silent points on the same grid
+      const startTime = audioContext
+        ? audioContext.currentTime + RHYTHM_START_DELAY + config.interval / 2000
+        : null;
+      const firstBeat = startTime !== null
+        ? audioTimeToPerformanceTime(startTime)
+        : performance.now() + RHYTHM_START_DELAY * 1000 + config.interval / 2;
+
+      state.modeData = {
+        startTime,
+        beatTimes: Array.from({ length: state.maxTrials }, (_, i) => firstBeat + i * config.interval),
+        trials: [] // { phase, beatTime, tapTime }
+      };
+    },
+    onTrialStart: function(trial) {
+      const config = RHYTHM_CONFIG[state.difficulty];
+
+      // One beat per trial, scheduled when its window opens (quitting stops future beats)
+      if (trial.phase === "sync" && state.modeData.startTime !== null) {
+        playTone(RHYTHM_BEAT_FREQUENCY, RHYTHM_BEAT_DURATION, "sine", 0.3,
+          state.modeData.startTime + (trial.beat * config.interval) / 1000);
+      }
+      if (trial.beat === config.syncBeats) {
+        showTrialCue("Keep going!");
+      }
+
+      // Response times are measured from the beat, so early taps come out negative
+      state.trialStartTime = state.modeData.beatTimes[trial.beat];
+    },
+    // The window closes half an interval after its beat, wherever the timer started it
+    getTrialDuration: (trial) => {
+      const config = RHYTHM_CONFIG[state.difficulty];
+      return Math.max(0, state.modeData.beatTimes[trial.beat] + config.interval / 2 - performance.now());
+    },
+    onTrialEnd: function(trial, response) {
+      const beatTime = state.modeData.beatTimes[trial.beat];
+      state.modeData.trials.push({
+        phase: trial.phase,
+        beatTime,
+        tapTime: response !== null ? beatTime + response.reactionTime : null
+      });
+    },
+    getResults: function() {
+      const config = RHYTHM_CONFIG[state.difficulty];
+      const trials = state.modeData.trials;
+      const mean = (values) => values.reduce((a, b) => a + b, 0) / values.length;
+
+      // Synchronization: signed tap-minus-beat times (negative = ahead of the beat)
+      const asynchronies = trials
+        .filter(t => t.phase === "sync" && t.tapTime !== null)
+        .map(t => t.tapTime - t.beatTime);
+      const meanAsynchrony = asynchronies.length > 0 ? Math.round(mean(asynchronies)) : null;
+
+      // Continuation: intervals between taps on consecutive beats
+      const intervals = [];
+      for (let i = 1; i < trials.length; i++) {
+        if (trials[i].phase === "continuation" && trials[i].tapTime !== null && trials[i - 1].tapTime !== null) {
+          intervals.push({ beat: i, iti: trials[i].tapTime - trials[i - 1].tapTime });
+        }
+      }
+
+      let meanIti = null;
+      let itiCv = null;
+      let drift = null;
+      if (intervals.length >= 2) {
+        const itis = intervals.map(t => t.iti);
+        meanIti = mean(itis);
+        const sd = standardDeviation(itis);
+        itiCv = Math.round((sd / meanIti) * 1000) / 10;
+        // Drift: change in interval per beat (positive = slowing down)
+        const fit = fitLine(intervals.map(t => ({ x: t.beat, y: t.iti })));
+        drift = fit ? Math.round(fit.slope * 10) / 10 : null;
+        meanIti = Math.round(meanIti);
+      }
+
+      let comment = "Not enough taps after the beat stopped to measure your timing.";
+      if (itiCv !== null) {
+        if (itiCv < 4) {
+          comment = "Metronome-steady — your internal clock kept the beat on its own.";
+        } else if (itiCv < 8) {
+          comment = "Good timing — a little wobble once the beat was gone.";
+        } else {
+          comment = "Your pace wandered without the beat. Try counting along in your head.";
+        }
+        if (drift !== null && Math.abs(drift) >= 2) {
+          comment += drift > 0 ? " You gradually slowed down." : " You gradually sped up.";
+        }
+      }
+
+      return {
+        title: "Timing Control",
+        metrics: [
+          { label: "Mean Asynchrony", value: meanAsynchrony !== null ? `${meanAsynchrony > 0 ? "+" : ""}${meanAsynchrony} ms` : "—" },
+          { label: "Tap Interval", value: meanIti !== null ? `${meanIti} ms` : "—" },
+          { label: "Interval Variability", value: itiCv !== null ? `${itiCv}%` : "—" },
+          { label: "Drift", value: drift !== null ? `${drift > 0 ? "+" : ""}${drift} ms/beat` : "—" }
+        ],
+        comment,
+        data: {
+          interval: config.interval,
+          meanAsynchrony,
+          meanIti,
+          itiCv,
+          drift
+        }
+      };
+    },
+    // Timing score: steady continuation and tight synchronization, minus skipped beats
+    // Runs after endGame has stored getResults() in state.modeResults
+    calculateScore: function() {
+      const results = state.modeResults.data;
+      const cvPenalty = results.itiCv !== null ? results.itiCv * 4 : 50;
+      const asyncPenalty = results.meanAsynchrony !== null ? Math.abs(results.meanAsynchrony) / 5 : 20;
+      const score = Math.round(100 - cvPenalty - asyncPenalty - state.misses * 2);
+      return Math.max(0, Math.min(100, score));
+    }
+  },
+  // Stop-Signal Task - measures stopping a response that is already under way
+  // Every trial shows the same go circle; on stop trials it turns red after the SSD
+  stopSignal: {
+    id: "stopSignal",
+    label: "Stop Signal",
+    description: "Tap as fast as you can when the circle appears — but if it turns red, stop yourself!",
+    hint: "Tap fast! Stop if it turns red.",
+    useShapes: false,
+    isStandalone: true,
+    hideTargetCue: true, // Go and stop trials must look identical until the signal
+    isAdaptive: true, // The SSD staircase holds failed stops near 50%
+    difficultyConfig: STOP_SIGNAL_CONFIG,
+    isTarget: (color, shape, trial) => !trial.isStop,
+    getTrialProps: (targetProbability) => {
+      return {
+        color: "blue",
+        shape: "circle",
+        isStop: random() >= targetProbability
+      };
+    },
+    initSession: function() {
+      const config = STOP_SIGNAL_CONFIG[state.difficulty];
+      state.modeData = {
+        ssd: config.initialSsd,
+        stopTrials: [] // { ssd, responded }
+      };
+    },
+    onTrialStart: function(trial) {
+      if (!trial.isStop) return;
+
+      trial.ssd = state.modeData.ssd;
+      scheduleTrialEvent(() => {
+        // A response before the SSD (anticipations too) already failed the stop - there
+        // is nothing left to signal
+        if (state.hasTappedThisTrial) return;
+        state.currentColor = "red";
+        renderSingleSymbol();
+        elements.symbol.classList.add("stop-signal");
+        playTone(1200, 0.15, "square", 0.2);
+      }, trial.ssd);
+    },
+    onTrialEnd: function(trial, response) {
+      if (!trial.isStop) return;
+
+      const config = STOP_SIGNAL_CONFIG[state.difficulty];
+      const responded = response !== null;
+      state.modeData.stopTrials.push({ ssd: trial.ssd, responded });
+
+      // Staircase: harder after a successful stop, easier after a failed one
+      const nextSsd = responded
+        ? state.modeData.ssd - config.ssdStep
+        : state.modeData.ssd + config.ssdStep;
+      state.modeData.ssd = Math.max(config.minSsd, Math.min(config.maxSsd, nextSsd));
+    },
+    getResults: function() {
+      const stopTrials = state.modeData.stopTrials;
+      const failedStops = stopTrials.filter(t => t.responded).length;
+      const pRespond = stopTrials.length > 0 ? failedStops / stopTrials.length : 0;
+      const meanSsd = stopTrials.length > 0
+        ? stopTrials.reduce((sum, t) => sum + t.ssd, 0) / stopTrials.length
+        : state.modeData.ssd;
+
+      // SSRT (integration method): go omissions count as the slowest possible RT,
+      // then take the go RT at the p(respond|signal) percentile minus the mean SSD.
+      // Anticipated go trials also count as misses, but they are neither a real RT nor an
+      // omission, so they stay out of the go RT distribution entirely
+      let ssrt = null;
+      const goRts = [...state.reactionTimes];
+      const goOmissions = state.trialLog.filter(e => e.isTarget && e.outcome === "miss").length;
+      for (let i = 0; i < goOmissions; i++) {
+        goRts.push(state.trialDuration);
+      }
+      if (stopTrials.length > 0 && goRts.length > 0) {
+        goRts.sort((a, b) => a - b);
+        const nth = Math.max(1, Math.ceil(pRespond * goRts.length));
+        ssrt = Math.round(goRts[nth - 1] - meanSsd);
+      }
+
+      // Inhibition function: p(respond|signal) at each SSD that was presented
+      const bySsd = {};
+      stopTrials.forEach(t => {
+        if (!bySsd[t.ssd]) bySsd[t.ssd] = { trials: 0, responded: 0 };
+        bySsd[t.ssd].trials++;
+        if (t.responded) bySsd[t.ssd].responded++;
+      });
+      const inhibitionFunction = Object.keys(bySsd)
+        .map(Number)
+        .sort((a, b) => a - b)
+        .map(ssd => ({
+          ssd,
+          trials: bySsd[ssd].trials,
+          pRespond: bySsd[ssd].responded / bySsd[ssd].trials
+        }));
+
+      let comment;
+      if (stopTrials.length === 0) {
+        comment = "No stop signals this round — play again for an SSRT estimate.";
+      } else if (pRespond < 0.25 || pRespond > 0.75) {
+        comment = "Stopping rate drifted far from 50%, so the SSRT is only a rough estimate.";
+      } else if (ssrt !== null && ssrt < 200) {
+        comment = "Lightning brakes — you cancel responses very quickly.";
+      } else if (ssrt !== null && ssrt < 260) {
+        comment = "Solid stopping control.";
+      } else {
+        comment = "Your brakes are a bit slow — try not to rush ahead of the signal.";
+      }
+
+      return {
+        title: "Stopping Control",
+        metrics: [
+          { label: "SSRT", value: ssrt !== null ? `${ssrt} ms` : "—" },
+          { label: "Final SSD", value: `${state.modeData.ssd} ms` },
+          { label: "Stopped", value: `${Math.round((1 - pRespond) * 100)}%` }
+        ],
+        details: {
+          title: "Inhibition Function",
+          rows: inhibitionFunction.map(point => ({
+            label: `${point.ssd} ms`,
+            value: `${Math.round(point.pRespond * 100)}% (${point.trials})`,
+            fill: point.pRespond * 100
+          }))
+        },
+        comment,
+        data: {
+          ssrt,
+          finalSsd: state.modeData.ssd,
+          meanSsd: Math.round(meanSsd),
+          pRespondSignal: Math.round(pRespond * 1000) / 1000,
+          inhibitionFunction
+        }
+      };
+    },
+    // Go and stop trials are scored apart: the staircase fails about half the stops whatever
+    // the player does, so failed stops are not charged as false taps. Half the score is go
+    // accuracy, half is stopping speed (SSRT, from the results endGame already stored)
+    calculateScore: function() {
+      const goScore = state.totalTargets > 0 ? (state.hits / state.totalTargets) * 100 : 0;
+      const ssrt = state.modeResults.data.ssrt;
+      const stopScore = ssrt !== null
+        ? Math.max(0, Math.min(100, (STOP_SIGNAL_SCORE_SLOWEST_SSRT - ssrt) / 2))
+        : goScore;
+      return Math.round((goScore + stopScore) / 2);
+    }
+  },
+  // Flanker (Eriksen) - answer the direction of the center arrow, ignore its neighbours
+  flanker: {
+    id: "flanker",
+    label: "Flanker",
+    description: "Which way does the middle arrow point? Tap the left or right half of the screen (or press ← / →). Ignore the arrows around it.",
+    hint: "Middle arrow only! Tap left or right.",
+    useShapes: true,
+    isStandalone: true,
+    isMulti: true,
+    isChoice: true,
+    hideTargetCue: true,
+    choices: SIDE_CHOICES,
+    responseLayout: "halves",
+    symbolCount: 5,
+    symbolLayout: "flankerRow", // Fixed row in SYMBOL_POSITIONS (target in the middle)
+    difficultyConfig: FLANKER_CONFIG,
+    anticipationFloor: CHOICE_ANTICIPATION_FLOOR,
+    isTarget: () => true,
+    getTrialProps: (targetProbability, symbolCount = 5) => {
+      const config = FLANKER_CONFIG[state.difficulty];
+      const direction = random() < 0.5 ? "left" : "right";
+      const congruent = random() < config.congruentProbability;
+      const flankerDirection = congruent ? direction : (direction === "left" ? "right" : "left");
+      const center = Math.floor(symbolCount / 2);
+
+      const symbols = [];
+      for (let i = 0; i < symbolCount; i++) {
+        symbols.push({
+          color: "blue",
+          shape: `arrow-${i === center ? direction : flankerDirection}`
+        });
+      }
+
+      return {
+        symbols,
+        hasTarget: true,
+        correctResponse: direction,
+        condition: congruent ? "congruent" : "incongruent"
+      };
+    },
+    initSession: function() {
+      state.modeData = {
+        trials: [] // { condition, correct, reactionTime }
+      };
+    },
+    onTrialEnd: function(trial, response) {
+      recordChoiceTrial(trial, response);
+    },
+    calculateScore: scoreChoiceAccuracy,
+    getResults: function() {
+      const conditions = summarizeConditions(state.modeData.trials);
+      const congruent = conditions.congruent;
+      const incongruent = conditions.incongruent;
+
+      const rtEffect = congruent.meanRt !== null && incongruent.meanRt !== null
+        ? incongruent.meanRt - congruent.meanRt
+        : null;
+      const accuracyEffect = congruent.trials > 0 && incongruent.trials > 0
+        ? incongruent.accuracy - congruent.accuracy
+        : null;
+
+      let comment;
+      if (rtEffect === null) {
+        comment = "Not enough correct answers in both conditions to measure interference.";
+      } else if (rtEffect < 30 && (accuracyEffect === null || accuracyEffect > -10)) {
+        comment = "Laser focus — the neighbouring arrows barely slowed you down.";
+      } else if (rtEffect < 80) {
+        comment = "Typical interference — conflicting arrows cost you a little time.";
+      } else {
+        comment = "The flankers pulled hard on you. Try to lock onto the middle arrow.";
+      }
+
+      return {
+        title: "Interference Control",
+        metrics: [
+          { label: "Congruency Effect", value: rtEffect !== null ? `${rtEffect} ms` : "—" },
+          { label: "Accuracy Effect", value: accuracyEffect !== null ? `${accuracyEffect}%` : "—" }
+        ],
+        details: {
+          title: "By Condition",
+          rows: [congruent, incongruent].map(c => ({
+            label: c.condition === "congruent" ? "Same" : "Opposite",
+            value: `${c.meanRt !== null ? `${c.meanRt} ms` : "—"} · ${c.accuracy}%`,
+            fill: c.accuracy
+          }))
+        },
+        comment,
+        data: {
+          congruencyEffectRt: rtEffect,
+          congruencyEffectAccuracy: accuracyEffect,
+          congruentRt: congruent.meanRt,
+          incongruentRt: incongruent.meanRt,
+          congruentAccuracy: congruent.accuracy,
+          incongruentAccuracy: incongruent.accuracy
+        }
+      };
+    }
+  },
+  // Simon - answer the color with the matching hand, wherever the symbol appears
+  simon: {
+    id: "simon",
+    label: "Simon",
+    description: "A circle appears on the left or right. Answer its color — blue on the left half (or ←), red on the right half (or →) — no matter which side it shows up on.",
+    hint: "Blue = left, red = right. Ignore where it appears!",
+    useShapes: false,
+    isStandalone: true,
+    isMulti: true,
+    isChoice: true,
+    hideTargetCue: true,
+    choices: SIMON_CHOICES,
+    responseLayout: "halves",
+    symbolCount: 2, // Two slots (left/right); one is filled per trial
+    symbolLayout: "sidePair",
+    difficultyConfig: SIMON_CONFIG,
+    anticipationFloor: CHOICE_ANTICIPATION_FLOOR,
+    isTarget: () => true,
+    getTrialProps: () => {
+      const config = SIMON_CONFIG[state.difficulty];
+      const choice = SIMON_CHOICES[Math.floor(random() * SIMON_CHOICES.length)];
+      const congruent = random() < config.congruentProbability;
+      const side = congruent ? choice.side : (choice.side === "left" ? "right" : "left");
+
+      return {
+        symbols: [{ color: choice.id, shape: "circle", slot: side === "left" ? 0 : 1 }],
+        hasTarget: true,
+        side,
+        correctResponse: choice.id,
+        condition: congruent ? "congruent" : "incongruent"
+      };
+    },
+    initSession: function() {
+      state.modeData = {
+        trials: [] // { condition, correct, reactionTime }
+      };
+    },
+    onTrialEnd: recordChoiceTrial,
+    calculateScore: scoreChoiceAccuracy,
+    getResults: function() {
+      const conditions = summarizeConditions(state.modeData.trials);
+      const congruent = conditions.congruent;
+      const incongruent = conditions.incongruent;
+
+      // Simon effect: cost of the symbol appearing on the side of the other hand
+      const simonEffect = congruent.meanRt !== null && incongruent.meanRt !== null
+        ? incongruent.meanRt - congruent.meanRt
+        : null;
+      const accuracyEffect = congruent.trials > 0 && incongruent.trials > 0
+        ? incongruent.accuracy - congruent.accuracy
+        : null;
+
+      let comment;
+      if (simonEffect === null) {
+        comment = "Not enough correct answers on both sides to measure the Simon effect.";
+      } else if (simonEffect < 20) {
+        comment = "Where the circle appeared hardly mattered — you went straight for the color.";
+      } else if (simonEffect < 60) {
+        comment = "Typical Simon effect — a circle on the \"wrong\" side costs you a little time.";
+      } else {
+        comment = "Location pulls your hand strongly. Focus on the color, not the side.";
+      }
+
+      return {
+        title: "Spatial Conflict",
+        metrics: [
+          { label: "Simon Effect", value: simonEffect !== null ? `${simonEffect} ms` : "—" },
+          { label: "Accuracy Effect", value: accuracyEffect !== null ? `${accuracyEffect}%` : "—" }
+        ],
+        details: {
+          title: "By Condition",
+          rows: [
+            { label: "Same side", value: `${congruent.meanRt !== null ? congruent.meanRt + " ms" : "—"} · ${congruent.accuracy}%`, fill: congruent.accuracy },
+            { label: "Opposite side", value: `${incongruent.meanRt !== null ? incongruent.meanRt + " ms" : "—"} · ${incongruent.accuracy}%`, fill: incongruent.accuracy }
+          ]
+        },
+        comment,
+        data: {
+          simonEffect,
+          accuracyEffect,
+          conditions
+        }
+      };
+    }
+  },
+  // Stroop - answer the ink color of a color word
+  stroop: {
+    id: "stroop",
+    label: "Color-Word Stroop",
+    description: "A color word appears in colored ink. Answer the INK color with the buttons (or R/B/G/Y keys) — not the word!",
+    hint: "Pick the ink color, not the word!",
+    useShapes: false,
+    isStandalone: true,
+    isChoice: true,
+    hideTargetCue: true,
+    anticipationFloor: CHOICE_ANTICIPATION_FLOOR,
+    choices: STROOP_INKS.map((ink, i) => ({
+      id: ink,
+      label: ink.charAt(0).toUpperCase() + ink.slice(1),
+      color: COLORS[ink],
+      keys: [ink.charAt(0), ink.charAt(0).toUpperCase(), String(i + 1)]
+    })),
+    responseLayout: "buttons",
+    difficultyConfig: STROOP_CONFIG,
+    isTarget: () => true,
+    getTrialProps: () => {
+      const config = STROOP_CONFIG[state.difficulty];
+      const ink = STROOP_INKS[Math.floor(random() * STROOP_INKS.length)];
+      const roll = random();
+
+      let condition, word;
+      if (roll < config.congruentProbability) {
+        condition = "congruent";
+        word = ink.toUpperCase();
+      } else if (roll < config.congruentProbability + config.neutralProbability) {
+        condition = "neutral";
+        word = STROOP_NEUTRAL_WORDS[Math.floor(random() * STROOP_NEUTRAL_WORDS.length)];
+      } else {
+        condition = "incongruent";
+        const otherInks = STROOP_INKS.filter(c => c !== ink);
+        word = otherInks[Math.floor(random() * otherInks.length)].toUpperCase();
+      }
+
+      return { color: ink, shape: "word", word, correctResponse: ink, condition };
+    },
+    initSession: function() {
+      state.modeData = {
+        trials: [] // { condition, correct, reactionTime }
+      };
+    },
+    onTrialEnd: function(trial, response) {
+      recordChoiceTrial(trial, response);
+    },
+    calculateScore: scoreChoiceAccuracy,
+    getResults: function() {
+      const conditions = summarizeConditions(state.modeData.trials, ["congruent", "neutral", "incongruent"]);
+      const interference = calculateStroopInterference(conditions);
+
+      let comment;
+      if (interference.rtEffect === null) {
+        comment = "Not enough correct answers in every condition to measure interference.";
+      } else if (interference.score >= 85) {
+        comment = "The words barely fooled you — strong conflict control!";
+      } else if (interference.score >= 65) {
+        comment = "Some pull from the words, but you kept the ink in focus.";
+      } else {
+        comment = "Reading took over. Try to see the color before the word.";
+      }
+
+      return {
+        title: "Stroop Interference",
+        metrics: [
+          { label: "Interference", value: interference.rtEffect !== null ? `${interference.rtEffect} ms` : "—" },
+          { label: "Stroop Score", value: interference.score !== null ? interference.score : "—" }
+        ],
+        details: {
+          title: "By Condition",
+          rows: [["congruent", "Match"], ["neutral", "Neutral"], ["incongruent", "Mismatch"]].map(([key, label]) => {
+            const c = conditions[key];
+            return {
+              label,
+              value: `${c.meanRt !== null ? `${c.meanRt} ms` : "—"} · ${c.accuracy}%`,
+              fill: c.accuracy
+            };
+          })
+        },
+        comment,
+        data: {
+          interferenceRt: interference.rtEffect,
+          interferenceAccuracy: interference.accuracyEffect,
+          facilitationRt: interference.facilitationRt,
+          interferenceScore: interference.score,
+          congruentRt: conditions.congruent.meanRt,
+          neutralRt: conditions.neutral.meanRt,
+          incongruentRt: conditions.incongruent.meanRt,
+          congruentAccuracy: conditions.congruent.accuracy,
+          neutralAccuracy: conditions.neutral.accuracy,
+          incongruentAccuracy: conditions.incongruent.accuracy
+        }
+      };
+    }
+  }
+};
+
+// ===== MODE ANALYSIS HELPERS =====
+
+/**
+ * Least-squares straight line through a set of points
+ * @param {Array<{x: number, y: number}>} points
+ * @returns {{slope: number, intercept: number}|null} null if fewer than two distinct x values
+ */
+function fitLine(points) {
+  if (new Set(points.map(p => p.x)).size < 2) return null;
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  let covariance = 0;
+  let varianceX = 0;
+  points.forEach(p => {
+    covariance += (p.x - meanX) * (p.y - meanY);
+    varianceX += (p.x - meanX) * (p.x - meanX);
+  });
+
+  const slope = covariance / varianceX;
+  return { slope, intercept: meanY - slope * meanX };
+}
+
+/**
+ * Proportion with the log-linear correction, so rates of 0 and 1 stay finite in z-space
+ * Shifts every rate a little toward 0.5, which keeps it usable on the handful of trials
+ * in one AX-CPT cue-probe cell, where 0 and 1 are the norm
+ * @param {number} count - Number of responses (e.g. hits)
+ * @param {number} total - Number of trials
+ */
+function correctedRate(count, total) {
+  return (count + 0.5) / (total + 1);
+}
+
+/**
+ * Proportion with only the extremes corrected (Macmillan & Kaplan): 0 becomes 0.5/N and
+ * 1 becomes (N - 0.5)/N, everything else is the plain rate
+ * Used for whole-session signal detection, where the shown hit and false-alarm rates
+ * should match the player's raw counts; small cells use correctedRate instead
+ * @param {number} count - Number of responses (e.g. hits)
+ * @param {number} total - Number of trials
+ */
+function boundedRate(count, total) {
+  const rate = count / total;
+  if (rate === 0) return 0.5 / total;
+  if (rate === 1) return (total - 0.5) / total;
+  return rate;
+}
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability, 0 < p < 1
+ * @returns {number} z such that P(Z < z) = p
+ */
+function zScore(p) {
+  const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+  const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+  const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+  const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+  const pLow = 0.02425;
+
+  if (p < pLow) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - pLow) {
+    const q = Math.sqrt(-2 * Math.log(1 - p));
+    return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Builds a balanced target / non-target list for a whole session
+ * - Exact target count: round(targetProbability * length)
+ * - Targets spread over the time-on-task bins in proportion to their size - the same
+ *   per-trial bins the session is analysed by (planTrialBins)
+ * - No more than maxRun targets in a row: each bin's non-targets go down first as
+ *   separators, then its targets are dealt into the gaps between them, at most maxRun
+ *   per gap (counting a run carried over from the bin before)
+ * - Go-heavy bins (SART, Stop Signal, where "target" is the common go trial) have too few
+ *   separators for maxRun; their cap becomes the smallest run length that fits -
+ *   ceil(targets / (non-targets + 1)) or a little over - rather than being dropped
+ * @param {number} length - Number of trials
+ * @param {number} targetProbability - Share of target trials
+ * @param {Array<number>} trialBins - Bin of each trial, in order (consecutive, never decreasing)
+ * @param {number} maxRun - Longest run of consecutive targets wanted
+ * @returns {Array<boolean>} Whether each trial is a target
+ */
+function buildTrialList(length, targetProbability, trialBins = getTrialCountBins(length, DEFAULT_TIME_BINS), maxRun = MAX_TARGET_RUN) {
+  const targetCount = Math.round(targetProbability * length);
+
+  // Trials per bin (bins are consecutive stretches of the session)
+  const binSizes = new Array(Math.max(0, ...trialBins) + 1).fill(0);
+  trialBins.forEach(bin => {
+    binSizes[bin]++;
+  });
+
+  // Quota per bin: proportional share, leftovers to the largest remainders
+  const shares = binSizes.map(size => (targetCount * size) / length);
+  const quotas = shares.map(Math.floor);
+  const order = shares
+    .map((share, bin) => ({ bin, remainder: share - Math.floor(share) + random() * 1e-6 }))
+    .sort((a, b) => b.remainder - a.remainder);
+  const leftover = targetCount - quotas.reduce((a, b) => a + b, 0);
+  for (let i = 0; i < leftover; i++) {
+    quotas[order[i].bin]++;
+  }
+
+  const list = [];
+  binSizes.forEach((size, b) => {
+    const targets = quotas[b];
+    const nonTargets = size - targets;
+
+    // Targets at the end of the list so far run on into this bin's first gap
+    let carried = 0;
+    while (carried < list.length && list[list.length - 1 - carried]) {
+      carried++;
+    }
+
+    let cap = maxRun;
+    while (Math.max(0, cap - carried) + nonTargets * cap < targets) {
+      cap++;
+    }
+
+    // Room left in each gap; every target goes to a gap picked in proportion to its room
+    const room = [Math.max(0, cap - carried), ...new Array(nonTargets).fill(cap)];
+    const gaps = new Array(nonTargets + 1).fill(0);
+    for (let t = 0; t < targets; t++) {
+      let pick = random() * room.reduce((a, c) => a + c, 0);
+      let gap = 0;
+      while (gap < room.length - 1 && (room[gap] === 0 || pick >= room[gap])) {
+        pick -= room[gap];
+        gap++;
+      }
+      gaps[gap]++;
+      room[gap]--;
+    }
+
+    gaps.forEach((run, gap) => {
+      if (gap > 0) list.push(false);
+      for (let i = 0; i < run; i++) list.push(true);
+    });
+  });
+
+  return list;
+}
+
+/**
+ * Builds a per-trial rule sequence with an exact number of rule switches
+ * @param {number} length - Number of trials
+ * @param {Array} rules - Two rules to alternate between (e.g. ["color", "shape"])
+ * @param {number} switchProbability - Share of trials (after the first) that switch rule
+ * @returns {Array} Rule for each trial
+ */
+function buildRuleSequence(length, rules, switchProbability) {
+  const transitions = [];
+  const switchCount = Math.round(switchProbability * (length - 1));
+  for (let i = 0; i < length - 1; i++) {
+    transitions.push(i < switchCount);
+  }
+
+  const sequence = [rules[Math.floor(random() * rules.length)]];
+  shuffleArray(transitions).forEach(isSwitch => {
+    const previous = sequence[sequence.length - 1];
+    sequence.push(isSwitch ? rules.find(r => r !== previous) : previous);
+  });
+  return sequence;
+}
+
+/**
+ * Builds an N-back trial sequence with an exact number of matches
+ *
+ * Non-match trials never repeat the item N back. Without lures they also avoid
+ * the items at the neighbouring lags (1 .. N+1), so the only repeats a player
+ * sees are the real matches. A lure is a non-match that repeats one of those items.
+ *
+ * Built in one pass: each non-match is drawn from the pool minus the items it must
+ * not repeat, so the match count and the lure rule hold by construction. The pool
+ * must leave at least one item to draw from.
+ *
+ * @param {number} length - Number of trials
+ * @param {number} n - How many trials back a match refers to
+ * @param {number} matchRate - Share of eligible trials (index >= n) that are matches
+ * @param {boolean} allowLures - Allow repeats at other lags (lure trials)
+ * @param {Array} pool - Distinct stimuli [{ color, shape }]
+ * @returns {Array} [{ color, shape, isMatch, isLure }]
+ * @throws {Error} If the pool is too small to avoid the items a non-match must not repeat
+ */
+function buildNBackSequence(length, n, matchRate, allowLures, pool) {
+  const excludedPerTrial = allowLures ? 1 : n + 1;
+  if (pool.length <= excludedPerTrial) {
+    throw new Error(`N-back needs more than ${excludedPerTrial} stimuli for N = ${n}${allowLures ? "" : " without lures"}`);
+  }
+
+  const eligible = [];
+  for (let i = n; i < length; i++) eligible.push(i);
+  const matchCount = Math.round(matchRate * eligible.length);
+  const sameItem = (a, b) => a.color === b.color && a.shape === b.shape;
+  const isLureAt = (items, i) => {
+    if (i >= n && sameItem(items[i], items[i - n])) return false; // A real match
+    for (let k = 1; k <= n + 1; k++) {
+      if (k !== n && i - k >= 0 && sameItem(items[i], items[i - k])) return true;
+    }
+    return false;
+  };
+
+  const matches = new Set(shuffleArray(eligible).slice(0, matchCount));
+  const items = [];
+
+  for (let i = 0; i < length; i++) {
+    if (matches.has(i)) {
+      items.push(items[i - n]);
+      continue;
+    }
+    const forbidden = [];
+    if (i >= n) forbidden.push(items[i - n]);
+    if (!allowLures) {
+      for (let k = 1; k <= n + 1; k++) {
+        if (i - k >= 0) forbidden.push(items[i - k]);
+      }
+    }
+    const candidates = pool.filter(item => !forbidden.some(f => sameItem(f, item)));
+    items.push(candidates[Math.floor(random() * candidates.length)]);
+  }
+
+  return items.map((item, i) => ({
+    color: item.color,
+    shape: item.shape,
+    isMatch: i >= n && sameItem(item, items[i - n]),
+    isLure: isLureAt(items, i)
+  }));
+}
+
+/**
+ * Records the outcome of a choice trial in state.modeData.trials
+ * @param {Object} trial - Trial props (uses trial.condition)
+ * @param {Object|null} response - state.currentResponse, or null if no answer was given
+ */
+function recordChoiceTrial(trial, response) {
+  state.modeData.trials.push({
+    condition: trial.condition,
+    correct: response !== null && response.correct,
+    reactionTime: response !== null ? response.reactionTime : null
+  });
+}
+
+/**
+ * Score for choice modes where every trial needs an answer (Flanker, Stroop, Simon)
+ * There are no non-targets for the generic score to weigh false taps against, so the
+ * score is simply the share of trials answered correctly; unanswered trials count as wrong
+ * @returns {number} Score 0-100
+ */
+function scoreChoiceAccuracy() {
+  const trials = state.modeData.trials;
+  if (trials.length === 0) return 0;
+  return Math.round((trials.filter(t => t.correct).length / trials.length) * 100);
+}
+
+/**
+ * Summarizes recorded trials per condition
+ * Mean RT uses correct responses only; accuracy uses each trial's correct flag
+ * @param {Array} trials - [{ condition, correct, reactionTime }]
+ * @param {Array} conditions - Conditions to always include (even with no trials)
+ * @returns {Object} condition -> { condition, trials, correct, accuracy, meanRt }
+ */
+function summarizeConditions(trials, conditions = ["congruent", "incongruent"]) {
+  const summary = {};
+  const allConditions = [...new Set([...conditions, ...trials.map(t => t.condition)])];
+
+  allConditions.forEach(condition => {
+    const conditionTrials = trials.filter(t => t.condition === condition);
+    const correctTrials = conditionTrials.filter(t => t.correct);
+    // Correct withholds (go/no-go modes) have no RT
+    const rts = correctTrials.map(t => t.reactionTime).filter(rt => rt !== null);
+
+    summary[condition] = {
+      condition,
+      trials: conditionTrials.length,
+      correct: correctTrials.length,
+      accuracy: conditionTrials.length > 0
+        ? Math.round((correctTrials.length / conditionTrials.length) * 100)
+        : 0,
+      meanRt: rts.length > 0
+        ? Math.round(rts.reduce((a, b) => a + b, 0) / rts.length)
+        : null
+    };
+  });
+
+  return summary;
+}
+
+/**
+ * Calculates Stroop interference from per-condition summaries
+ *
+ * Score formula (mirrors calculateScore):
+ * - Start at 100
+ * - Subtract the relative slowdown on incongruent vs neutral trials (in %)
+ * - Subtract the accuracy drop on incongruent vs neutral trials (in points)
+ *
+ * No interference at all (same speed and accuracy) = 100
+ *
+ * @param {Object} conditions - Output of summarizeConditions
+ * @returns {Object} { rtEffect, accuracyEffect, facilitationRt, score }
+ */
+function calculateStroopInterference(conditions) {
+  const { congruent, neutral, incongruent } = conditions;
+
+  // Classic interference: incongruent minus neutral (falls back to congruent baseline)
+  const baseline = neutral.meanRt !== null ? neutral : congruent;
+  const rtEffect = incongruent.meanRt !== null && baseline.meanRt !== null
+    ? incongruent.meanRt - baseline.meanRt
+    : null;
+  const accuracyEffect = incongruent.trials > 0 && baseline.trials > 0
+    ? baseline.accuracy - incongruent.accuracy
+    : null;
+  const facilitationRt = neutral.meanRt !== null && congruent.meanRt !== null
+    ? neutral.meanRt - congruent.meanRt
+    : null;
+
+  if (rtEffect === null) {
+    return { rtEffect, accuracyEffect, facilitationRt, score: null };
+  }
+
+  const slowdownPenalty = Math.max(0, (rtEffect / baseline.meanRt) * 100);
+  const accuracyPenalty = Math.max(0, accuracyEffect || 0);
+  const score = Math.round(100 - slowdownPenalty - accuracyPenalty);
+
+  return {
+    rtEffect,
+    accuracyEffect,
+    facilitationRt,
+    score: Math.max(0, Math.min(100, score))
+  };
+}
+
+/**
+ * Generates a distractor (any color/shape combo except blue circle)
+ */
+function generateDistractor() {
+  const distractorType = random();
+
+  if (distractorType < 0.4) {
+    // Non-blue circle (tempting!)
+    const nonBlueColors = COLOR_KEYS.filter(c => c !== "blue");
     return {
-      color: nonBlueColors[Math.floor(Math.random() * nonBlueColors.length)],
+      color: nonBlueColors[Math.floor(random() * nonBlueColors.length)],
       shape: "circle"
     };
   } else if (distractorType < 0.7) {
@@ -536,19 +3038,394 @@ function generateDistractor() {
     const nonCircleShapes = SHAPES.filter(s => s !== "circle");
     return {
       color: "blue",
-      shape: nonCircleShapes[Math.floor(Math.random() * nonCircleShapes.length)]
+      shape: nonCircleShapes[Math.floor(random() * nonCircleShapes.length)]
     };
   } else {
     // Random non-blue, non-circle
     const nonBlueColors = COLOR_KEYS.filter(c => c !== "blue");
     const nonCircleShapes = SHAPES.filter(s => s !== "circle");
     return {
-      color: nonBlueColors[Math.floor(Math.random() * nonBlueColors.length)],
-      shape: nonCircleShapes[Math.floor(Math.random() * nonCircleShapes.length)]
+      color: nonBlueColors[Math.floor(random() * nonBlueColors.length)],
+      shape: nonCircleShapes[Math.floor(random() * nonCircleShapes.length)]
     };
   }
 }
 
+// ===== RT STATISTICS =====
+
+// Fewest correct RTs needed before fitting the ex-Gaussian (below this the fit is noise)
+const EX_GAUSSIAN_MIN_TRIALS = 20;
+// Most bars in the results screen RT histogram
+const RT_HISTOGRAM_MAX_BINS = 12;
+
+/**
+ * Median of a list of numbers (null if empty)
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0 ? (sorted[mid - 1] + sorted[mid]) / 2 : sorted[mid];
+}
+
+/**
+ * Sample standard deviation (n - 1); null with fewer than 2 values
+ */
+function standardDeviation(values) {
+  if (values.length < 2) return null;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / (values.length - 1));
+}
+
+/**
+ * Log of the standard normal CDF, accurate far into the lower tail
+ * Uses the Chebyshev fit to erfc from Numerical Recipes (erfcc): its error is relative
+ * (under 1.2e-7) rather than absolute, so tail values stay accurate however small they
+ * get, and taking its log directly means they never underflow
+ */
+function logNormalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.5 * x);
+  const poly = -1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+    t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+    t * (-0.82215223 + t * 0.17087277))))))));
+  // log(erfc(x) / 2) = log(Φ(-|z|))
+  const logTail = Math.log(t) - x * x + poly - Math.LN2;
+  return z >= 0 ? Math.log1p(-Math.exp(logTail)) : logTail;
+}
+
+/**
+ * Log-likelihood of RTs under an ex-Gaussian (normal mu/sigma plus exponential tau)
+ */
+function exGaussianLogLikelihood(values, { mu, sigma, tau }) {
+  return values.reduce((sum, x) => sum
+    - Math.log(tau)
+    + (mu - x) / tau
+    + (sigma * sigma) / (2 * tau * tau)
+    + logNormalCdf((x - mu) / sigma - sigma / tau), 0);
+}
+
+/**
+ * Fits an ex-Gaussian to RTs by maximum likelihood
+ * Starts from the method-of-moments estimate, then a pattern search halves its step
+ * until no parameter can move by 0.1 ms and improve the fit
+ * - mu / sigma: the normal part (typical speed and its spread)
+ * - tau: the exponential tail (occasional very slow responses)
+ * @returns {Object|null} { mu, sigma, tau } in ms, or null with too few RTs
+ */
+function fitExGaussian(values) {
+  if (values.length < EX_GAUSSIAN_MIN_TRIALS) return null;
+
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const sd = standardDeviation(values);
+  if (!sd) return null;
+  const skew = values.reduce((sum, v) => sum + Math.pow((v - mean) / sd, 3), 0) / n;
+
+  // Moments: tau = sd * (skew / 2)^(1/3), kept to a sane share of the spread
+  const tau = sd * Math.min(0.9, Math.max(0.1, Math.cbrt(Math.max(0, skew) / 2)));
+  let params = { mu: mean - tau, sigma: Math.sqrt(sd * sd - tau * tau), tau };
+  let best = exGaussianLogLikelihood(values, params);
+
+  let step = sd / 4;
+  for (let iteration = 0; step > 0.1 && iteration < 2000; iteration++) {
+    let improved = false;
+    for (const key of ["mu", "sigma", "tau"]) {
+      for (const direction of [1, -1]) {
+        const candidate = { ...params, [key]: params[key] + direction * step };
+        if (candidate.sigma <= 0 || candidate.tau <= 0) continue;
+        const likelihood = exGaussianLogLikelihood(values, candidate);
+        if (likelihood > best) {
+          best = likelihood;
+          params = candidate;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) step /= 2;
+  }
+
+  return {
+    mu: Math.round(params.mu),
+    sigma: Math.round(params.sigma),
+    tau: Math.round(params.tau)
+  };
+}
+
+/**
+ * Post-error slowing, robust version (Dutilh et al., 2012): for each error E whose
+ * neighbours E-1 and E+1 are both correct responses, RT(E+1) - RT(E-1), averaged.
+ * Comparing the two trials right around the same error keeps overall drift out of it.
+ * Errors are wrong responses (false taps); misses and anticipations have no proper RT
+ * to slow down from, so they neither count as errors nor as neighbours.
+ * @param {Array} trialLog - state.trialLog
+ * @returns {Object|null} { slowing (ms), errors (errors used) }, or null if no error is flanked by correct responses
+ */
+function calculatePostErrorSlowing(trialLog) {
+  const isCorrectResponse = entry => entry.outcome === "hit" && entry.reactionTime !== null;
+  const differences = [];
+
+  for (let i = 1; i < trialLog.length - 1; i++) {
+    if (trialLog[i].outcome !== "falseTap") continue;
+    const before = trialLog[i - 1];
+    const after = trialLog[i + 1];
+    if (isCorrectResponse(before) && isCorrectResponse(after)) {
+      differences.push(after.reactionTime - before.reactionTime);
+    }
+  }
+
+  if (differences.length === 0) return null;
+  return {
+    slowing: Math.round(differences.reduce((a, b) => a + b, 0) / differences.length),
+    errors: differences.length
+  };
+}
+
+/**
+ * Summary of the session's correct RTs: centre, variability, distribution shape and
+ * post-error slowing. Timing modes (signed tap offsets, not RTs) are left out.
+ * @returns {Object|null} { count, mean, median, sd, cv, exGaussian, postErrorSlowing }
+ */
+function calculateRtStats() {
+  const mode = MODES[state.currentMode];
+  const rts = state.reactionTimes;
+  if (mode.isTiming || rts.length < 2) return null;
+
+  const mean = rts.reduce((a, b) => a + b, 0) / rts.length;
+  const sd = standardDeviation(rts);
+  const exGaussian = fitExGaussian(rts);
+  const postError = calculatePostErrorSlowing(state.trialLog);
+
+  return {
+    count: rts.length,
+    mean: Math.round(mean),
+    median: Math.round(median(rts)),
+    sd: Math.round(sd),
+    cv: Math.round((sd / mean) * 1000) / 1000,  // Coefficient of variation: SD / mean
+    exGaussian,
+    postErrorSlowing: postError ? postError.slowing : null,
+    postErrorCount: postError ? postError.errors : 0
+  };
+}
+
+/**
+ * Bins RTs for the results histogram: bin width is a multiple of 25 ms, chosen so the
+ * range fits in RT_HISTOGRAM_MAX_BINS bars
+ * @returns {Array} [{ from, to, count }]
+ */
+function buildRtHistogram(rts) {
+  if (rts.length === 0) return [];
+  const min = Math.min(...rts);
+  const max = Math.max(...rts);
+  const width = Math.max(25, Math.ceil((max - min) / RT_HISTOGRAM_MAX_BINS / 25) * 25);
+  const start = Math.floor(min / width) * width;
+  const binCount = Math.floor((max - start) / width) + 1;
+
+  const bins = Array.from({ length: binCount }, (_, i) => ({
+    from: start + i * width,
+    to: start + (i + 1) * width,
+    count: 0
+  }));
+  rts.forEach(rt => {
+    bins[Math.min(binCount - 1, Math.floor((rt - start) / width))].count++;
+  });
+  return bins;
+}
+
+// ===== SEEDED RANDOM =====
+
+// Fixed seed for the next session only, so a session can be replayed exactly: from the
+// URL (?seed=12345) or the Replay button. Used until a session with it ends or is
+// aborted, then sessions get fresh seeds again
+let replaySeed = (() => {
+  const param = new URLSearchParams(window.location.search).get("seed");
+  const seed = param !== null ? parseInt(param, 10) : NaN;
+  return Number.isFinite(seed) ? seed >>> 0 : null;
+})();
+
+/**
+ * Creates a seeded PRNG (mulberry32)
+ * The same seed always gives the same sequence of numbers
+ * @param {number} seed - 32-bit unsigned integer
+ * @returns {Function} Returns a float in [0, 1) on each call, like Math.random
+ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random float in [0, 1) from the session's seeded generator
+ * Everything that shapes the trial sequence (stimuli, positions, tempo) must use this, not Math.random
+ */
+function random() {
+  return state.rng();
+}
+
+/**
+ * Starts a fresh generator for a new session: the replay seed if one is set, otherwise a
+ * new random seed
+ */
+function seedSession() {
+  state.seed = replaySeed !== null ? replaySeed : Math.floor(Math.random() * 4294967296);
+  state.rng = createRng(state.seed);
+}
+
+// ===== FRAME TIMING =====
+// Stimulus changes run inside requestAnimationFrame callbacks so they land on a display
+// frame, and onsets are read from the frame that actually presented them. A change made
+// while frame N runs is on screen when frame N+1 starts.
+
+// A gap this many frame intervals long or longer means frames were dropped
+const DROPPED_FRAME_THRESHOLD = 1.5;
+// Frames used to settle the refresh interval estimate before drops are counted
+const FRAME_WARMUP_FRAMES = 30;
+
+const frameClock = {
+  frameId: null,            // Pending requestAnimationFrame id while the loop runs
+  inFrame: false,           // True while frame callbacks run
+  frameTime: 0,             // Timestamp of the current (or last) frame
+  lastFrameTime: null,
+  frameInterval: 1000 / 60, // Running estimate of the display refresh interval
+  warmupFrames: 0,
+  droppedFrames: 0,         // Frames dropped since the counter was last reset
+  timers: [],               // { callback, dueTime, cancelled, repeat } from setFrameTimeout / setFrameInterval
+  paintCallbacks: []        // { callback, frames } from requestPaintTime
+};
+
+/**
+ * Estimated time at which a DOM change made right now reaches the screen
+ */
+function getNextPaintTime() {
+  if (frameClock.inFrame) {
+    return frameClock.frameTime + frameClock.frameInterval;
+  }
+  // Outside a frame the change waits for the next frame to start, then to be painted
+  return performance.now() + frameClock.frameInterval * 1.5;
+}
+
+/**
+ * Frame-aligned setTimeout: runs the callback on the frame whose paint lands nearest to
+ * `delay` ms after the next paint, so anything it draws shows for whole frames
+ * @returns {Object} Timer handle for clearFrameTimeout
+ */
+function setFrameTimeout(callback, delay) {
+  const timer = { callback, dueTime: getNextPaintTime() + delay, cancelled: false };
+  frameClock.timers.push(timer);
+  startFrameLoop();
+  return timer;
+}
+
+/**
+ * Runs the callback on every frame until cancelled with clearFrameTimeout - one timer
+ * for the whole run, for displays that update each frame (e.g. a running counter)
+ * @returns {Object} Timer handle for clearFrameTimeout
+ */
+function setFrameInterval(callback) {
+  const timer = { callback, dueTime: 0, cancelled: false, repeat: true };
+  frameClock.timers.push(timer);
+  startFrameLoop();
+  return timer;
+}
+
+/**
+ * Cancels a timer from setFrameTimeout or setFrameInterval (null is ignored)
+ */
+function clearFrameTimeout(timer) {
+  if (!timer) return;
+  timer.cancelled = true;
+  frameClock.timers = frameClock.timers.filter(t => t !== timer);
+}
+
+/**
+ * Calls back with the timestamp of the frame on which the DOM changes made so far are
+ * first on screen
+ */
+function requestPaintTime(callback) {
+  frameClock.paintCallbacks.push({ callback, frames: frameClock.inFrame ? 1 : 2 });
+  startFrameLoop();
+}
+
+/**
+ * Starts the frame loop if it is idle; it stops itself once nothing is waiting on it
+ */
+function startFrameLoop() {
+  if (frameClock.frameId !== null || frameClock.inFrame) return;
+  frameClock.lastFrameTime = null;
+  frameClock.frameId = requestAnimationFrame(onFrame);
+}
+
+/**
+ * Frame loop: tracks the refresh interval and dropped frames, reports paint times,
+ * then runs the timers that are due
+ */
+function onFrame(timestamp) {
+  frameClock.frameId = null;
+
+  if (frameClock.lastFrameTime !== null) {
+    const delta = timestamp - frameClock.lastFrameTime;
+    if (frameClock.warmupFrames < FRAME_WARMUP_FRAMES) {
+      // Plain running mean to start with, skipping stalls (anything under 20 Hz)
+      if (delta < 50) {
+        frameClock.warmupFrames++;
+        frameClock.frameInterval += (delta - frameClock.frameInterval) / frameClock.warmupFrames;
+      }
+    } else if (delta >= frameClock.frameInterval * DROPPED_FRAME_THRESHOLD) {
+      frameClock.droppedFrames += Math.round(delta / frameClock.frameInterval) - 1;
+    } else {
+      frameClock.frameInterval += (delta - frameClock.frameInterval) * 0.05;
+    }
+  }
+  frameClock.lastFrameTime = timestamp;
+  frameClock.frameTime = timestamp;
+  frameClock.inFrame = true;
+
+  // Changes made during the previous frame are on screen as this one starts
+  const paintCallbacks = frameClock.paintCallbacks;
+  frameClock.paintCallbacks = [];
+
+  // Whatever a timer draws now shows one frame later - run it if that is the nearest paint
+  const paintTime = timestamp + frameClock.frameInterval;
+  const dueTimers = frameClock.timers
+    .filter(timer => paintTime >= timer.dueTime - frameClock.frameInterval / 2)
+    .sort((a, b) => a.dueTime - b.dueTime);
+  frameClock.timers = frameClock.timers.filter(timer => !dueTimers.includes(timer));
+
+  // A callback that throws must not take the loop down with it: whatever has not run
+  // yet goes back in the queue and the loop carries on next frame
+  try {
+    while (paintCallbacks.length > 0) {
+      const entry = paintCallbacks.shift();
+      entry.frames--;
+      if (entry.frames > 0) {
+        frameClock.paintCallbacks.push(entry);
+      } else {
+        entry.callback(timestamp);
+      }
+    }
+    while (dueTimers.length > 0) {
+      const timer = dueTimers.shift();
+      // An earlier timer in this frame may have cancelled it
+      if (timer.cancelled) continue;
+      timer.callback();
+      if (timer.repeat && !timer.cancelled) frameClock.timers.push(timer);
+    }
+  } finally {
+    frameClock.paintCallbacks.push(...paintCallbacks);
+    frameClock.timers.push(...dueTimers);
+    frameClock.inFrame = false;
+    if (frameClock.timers.length > 0 || frameClock.paintCallbacks.length > 0) {
+      frameClock.frameId = requestAnimationFrame(onFrame);
+    }
+  }
+}
+
 // ===== STATE MANAGEMENT =====
 
 // Campaign state (persisted to localStorage)
@@ -573,9 +3450,17 @@ const state = {
   trialDuration: 800,
   trialDurationMin: 800,    // For variable tempo (vigilance mode)
   trialDurationMax: 800,    // For variable tempo (vigilance mode)
+  blankDuration: 0,         // Blank/fixation period between trials
   targetProbability: 0.4,
   passScore: 50,            // Score needed to pass (campaign)
+  seed: null,               // PRNG seed for this session's trial sequence
+  trialList: [],            // Pre-built target / non-target flag per trial (see buildTrialList)
+  trialDurations: [],       // Pre-drawn variable-tempo durations (vigilance modes without getTrialDuration)
+  trialBins: [],            // Time-on-task bin of each trial, planned before the session (see planTrialBins)
+  rng: Math.random,         // Seeded generator (see seedSession)
   symbolCount: 1,           // Number of symbols to show (for multi-target)
+  nBackLevel: 2,            // N for N-back mode (1-3)
+  nBackLures: false,        // Whether N-back sequences may contain lures
   isMoving: false,          // Whether objects should move around
 
   // Trial tracking
@@ -587,26 +3472,48 @@ const state = {
   falseTaps: 0,
   totalTargets: 0,          // Actual number of targets shown
   reactionTimes: [],
-
-  // Vigilance mode tracking (performance over time in quarters)
-  vigilanceQuarters: [
-    { hits: 0, misses: 0, falseTaps: 0, targets: 0, reactionTimes: [] },
-    { hits: 0, misses: 0, falseTaps: 0, targets: 0, reactionTimes: [] },
-    { hits: 0, misses: 0, falseTaps: 0, targets: 0, reactionTimes: [] },
-    { hits: 0, misses: 0, falseTaps: 0, targets: 0, reactionTimes: [] }
-  ],
+  // Premature responses come in three kinds, counted apart because they mean different
+  // things (all three are shown on results and saved):
+  // - falseStarts: taps during a foreperiod, before the stimulus is drawn - the trial keeps waiting
+  // - anticipations: taps after onset but under the anticipation floor - they use up the
+  //   trial and never count as hits (on non-targets they are false taps as well)
+  // - blankTaps: taps in the blank between trials - not scored against any trial
+  falseStarts: 0,
+  anticipations: 0,
+  blankTaps: 0,
+
+  // Vigilance mode tracking (performance over time-on-task bins)
+  timeBinCount: DEFAULT_TIME_BINS,
+  timeBinBy: "trials",      // "trials" (equal trial counts) or "time" (equal stretches of session time)
+  timeBins: [],             // Per bin: { hits, misses, falseTaps, targets, reactionTimes }
+  currentBin: 0,            // Bin of the current trial, fixed when it starts
+  vigilanceDecrement: null, // Output of calculateVigilanceDecrement for the last session
 
   // Current trial state
   currentColor: "blue",
   currentShape: "circle",
   currentSymbols: [],       // Array of symbols for multi-target mode
   currentIsTarget: false,
+  currentTrialProps: null,  // Full props of the current trial (mode-specific extras)
   hasTappedThisTrial: false,
-  trialStartTime: 0,
-  trialTimeoutId: null,
+  currentResponse: null,    // { response, reactionTime, correct } once the player answers
+  awaitingOnset: false,     // True during a mode's foreperiod, before the stimulus is drawn
+  inBlank: false,           // True during the blank/fixation period between trials
+  trialStartTime: 0,        // Stimulus onset that RTs count from (the frame that showed it)
+  trialTimer: null,         // Frame timer that ends the current trial
+  trialEventTimers: [],     // In-trial events (e.g. stop signals) scheduled by modes
+  trialTiming: null,        // Paint times of the current trial's first frame and stimulus
+  sessionStartTime: null,   // Paint time of the first trial (trial log times count from it)
+  trialLog: [],             // One entry per trial (see runNextTrial)
+
+  // Mode-specific session data (set up by MODES[*].initSession)
+  modeData: {},
 
   // Results
   lastScore: null,
+  modeResults: null,        // Output of MODES[*].getResults for the last session
+  signalDetection: null,    // Output of calculateSignalDetection for the last session
+  rtStats: null,            // Output of calculateRtStats for the last session
   levelPassed: false,
   newUnlock: null // Stores any new unlock to display
 };
@@ -628,6 +3535,7 @@ const elements = {
   btnPlayAgain: document.getElementById("btn-play-again"),
   btnNextLevel: document.getElementById("btn-next-level"),
   btnHome: document.getElementById("btn-home"),
+  btnReplay: document.getElementById("btn-replay"),
   btnGameBack: document.getElementById("btn-game-back"),
 
   // Selectors (freeplay)
@@ -635,6 +3543,11 @@ const elements = {
   difficultySelect: document.getElementById("difficulty-select"),
   freeplayOptions: document.getElementById("freeplay-options"),
   modeDescription: document.getElementById("mode-description"),
+  nBackOptions: document.getElementById("nback-options"),
+  nBackSelect: document.getElementById("nback-select"),
+  nBackLures: document.getElementById("nback-lures"),
+  searchOptions: document.getElementById("search-options"),
+  searchSizeSelect: document.getElementById("search-size-select"),
 
   // Campaign display on home
   campaignStatus: document.getElementById("campaign-status"),
@@ -647,6 +3560,9 @@ const elements = {
   tapArea: document.getElementById("tap-area"),
   symbol: document.getElementById("symbol"),
   symbolsContainer: document.getElementById("symbols-container"),
+  responseButtons: document.getElementById("response-buttons"),
+  trialCue: document.getElementById("trial-cue"),
+  fixation: document.getElementById("fixation"),
   trialCounter: document.getElementById("trial-counter"),
   timeLeft: document.getElementById("time-left"),
   hint: document.querySelector(".hint"),
@@ -661,6 +3577,18 @@ const elements = {
   resultsFalse: document.getElementById("results-false"),
   resultsRT: document.getElementById("results-rt"),
   resultsScore: document.getElementById("results-score"),
+  resultsSeed: document.getElementById("results-seed"),
+  resultsSaveStatus: document.getElementById("results-save-status"),
+  sdtResults: document.getElementById("sdt-results"),
+  sdtResultsGrid: document.getElementById("sdt-results-grid"),
+  sdtResultsComment: document.getElementById("sdt-results-comment"),
+  rtResults: document.getElementById("rt-results"),
+  rtHistogram: document.getElementById("rt-histogram"),
+  rtResultsGrid: document.getElementById("rt-results-grid"),
+  rtResultsComment: document.getElementById("rt-results-comment"),
+  resultsAnticipations: document.getElementById("results-anticipations"),
+  trialLog: document.getElementById("trial-log"),
+  trialLogBody: document.getElementById("trial-log-body"),
   resultsPassScore: document.getElementById("results-pass-score"),
   resultsComment: document.getElementById("results-comment"),
   difficultySuggestion: document.getElementById("difficulty-suggestion"),
@@ -670,18 +3598,36 @@ const elements = {
   // Vigilance results elements
   vigilanceResults: document.getElementById("vigilance-results"),
   vigilanceComment: document.getElementById("vigilance-comment"),
-  q1Bar: document.getElementById("q1-bar"),
-  q2Bar: document.getElementById("q2-bar"),
-  q3Bar: document.getElementById("q3-bar"),
-  q4Bar: document.getElementById("q4-bar"),
-  q1Rt: document.getElementById("q1-rt"),
-  q2Rt: document.getElementById("q2-rt"),
-  q3Rt: document.getElementById("q3-rt"),
-  q4Rt: document.getElementById("q4-rt"),
+  vigilanceBins: document.getElementById("vigilance-bins"),
+  vigilanceDecrement: document.getElementById("vigilance-decrement"),
+
+  // Mode-specific results elements
+  modeResults: document.getElementById("mode-results"),
+  modeResultsTitle: document.getElementById("mode-results-title"),
+  modeResultsGrid: document.getElementById("mode-results-grid"),
+  modeResultsDetails: document.getElementById("mode-results-details"),
+  modeResultsComment: document.getElementById("mode-results-comment"),
+
+  // Choice Lab elements
+  screenChoice: document.getElementById("screen-choice"),
+  btnChoiceLab: document.getElementById("btn-choice-lab"),
+  choiceQuestion: document.getElementById("choice-question"),
+  choiceProgress: document.getElementById("choice-progress"),
+  choiceNow: document.getElementById("choice-now"),
+  choiceLater: document.getElementById("choice-later"),
+  choiceResults: document.getElementById("choice-results"),
+  choiceResultsTitle: document.getElementById("choice-results-title"),
+  choiceResultsGrid: document.getElementById("choice-results-grid"),
+  choiceResultsDetails: document.getElementById("choice-results-details"),
+  choiceResultsComment: document.getElementById("choice-results-comment"),
+  btnChoiceHome: document.getElementById("btn-choice-home"),
 
   // Focus Lab elements
   focusLabSection: document.getElementById("focus-lab-section"),
   focusDifficulty: document.getElementById("focus-difficulty"),
+  focusParadigm: document.getElementById("focus-paradigm"),
+  focusBins: document.getElementById("focus-bins"),
+  focusBinBy: document.getElementById("focus-bin-by"),
   btnFocusLab: document.getElementById("btn-focus-lab"),
   focusLoginHint: document.getElementById("focus-login-hint"),
   // Auth prompt elements
@@ -719,7 +3665,13 @@ const elements = {
   historyAvgScore: document.getElementById("history-avg-score"),
   historyBestTime: document.getElementById("history-best-time"),
   historyListItems: document.getElementById("history-list-items"),
+  historySession: document.getElementById("history-session"),
+  historySessionTitle: document.getElementById("history-session-title"),
+  historySessionStatus: document.getElementById("history-session-status"),
+  historySessionBody: document.getElementById("history-session-body"),
+  btnHistorySessionClose: document.getElementById("btn-history-session-close"),
   filterBtns: document.querySelectorAll(".filter-btn"),
+  metricBtns: document.querySelectorAll(".metric-btn"),
 
   // Leaderboard screen elements
   screenLeaderboard: document.getElementById("screen-leaderboard"),
@@ -789,6 +3741,7 @@ function showScreen(name) {
   elements.screenResults.classList.add("hidden");
   if (elements.screenHistory) elements.screenHistory.classList.add("hidden");
   if (elements.screenLeaderboard) elements.screenLeaderboard.classList.add("hidden");
+  if (elements.screenChoice) elements.screenChoice.classList.add("hidden");
 
   switch (name) {
     case "welcome":
@@ -816,6 +3769,9 @@ function showScreen(name) {
         loadLeaderboard();
       }
       break;
+    case "choice":
+      if (elements.screenChoice) elements.screenChoice.classList.remove("hidden");
+      break;
   }
 }
 
@@ -883,6 +3839,30 @@ function initializeSelectors() {
     elements.difficultySelect.addEventListener("change", updateModeDescription);
   }
 
+  // Populate N-back level selector
+  if (elements.nBackSelect) {
+    elements.nBackSelect.innerHTML = "";
+    for (const n of N_BACK_LEVELS) {
+      const option = document.createElement("option");
+      option.value = n;
+      option.textContent = `${n}-back`;
+      elements.nBackSelect.appendChild(option);
+    }
+    elements.nBackSelect.value = state.nBackLevel;
+  }
+
+  // Populate visual search display size selector (largest set size mixed in)
+  if (elements.searchSizeSelect) {
+    elements.searchSizeSelect.innerHTML = "";
+    for (const size of VISUAL_SEARCH_SET_SIZES.slice(1)) {
+      const option = document.createElement("option");
+      option.value = size;
+      option.textContent = `Up to ${size}`;
+      elements.searchSizeSelect.appendChild(option);
+    }
+    elements.searchSizeSelect.value = MODES.multiTarget.symbolCount;
+  }
+
   // Update description when mode changes
   if (elements.modeSelect) {
     elements.modeSelect.addEventListener("change", updateModeDescription);
@@ -902,10 +3882,19 @@ function updateModeDescription() {
   const selectedDifficulty = elements.difficultySelect ? elements.difficultySelect.value : "normal";
 
   const mode = MODES[selectedMode];
-  const difficulty = DIFFICULTY_CONFIG[selectedDifficulty];
 
   if (!mode) return;
 
+  const difficulty = (mode.difficultyConfig || DIFFICULTY_CONFIG)[selectedDifficulty];
+
+  // Mode-specific options are only shown for their mode
+  if (elements.nBackOptions) {
+    elements.nBackOptions.classList.toggle("hidden", selectedMode !== "nBack");
+  }
+  if (elements.searchOptions) {
+    elements.searchOptions.classList.toggle("hidden", selectedMode !== "multiTarget");
+  }
+
   // Build description
   let description = mode.description;
 
@@ -1001,9 +3990,12 @@ function startCampaign() {
   state.currentMode = levelConfig.mode;
   state.maxTrials = CAMPAIGN_CONFIG.trialsPerLevel;
   state.trialDuration = levelConfig.trialDuration;
+  state.blankDuration = levelConfig.blankDuration;
   state.targetProbability = levelConfig.targetProbability;
   state.passScore = levelConfig.passScore;
   state.symbolCount = levelConfig.symbolCount;
+  state.nBackLevel = levelConfig.nBackLevel;
+  state.nBackLures = false;
   state.isMoving = levelConfig.isMoving;
 
   // Check for new unlock at this level
@@ -1050,10 +4042,17 @@ function handleCampaignResult(score) {
  * Resets the state object to initial values for a new session
  */
 function resetState() {
-  if (state.trialTimeoutId) {
-    clearTimeout(state.trialTimeoutId);
-    state.trialTimeoutId = null;
-  }
+  clearTrialTimers();
+
+  // New session, new trial sequence: tempo first, so elapsed-time bins are known
+  // before the targets are spread over them
+  seedSession();
+  const mode = MODES[state.currentMode];
+  state.trialDurations = mode && mode.isVigilance && !mode.getTrialDuration
+    ? Array.from({ length: state.maxTrials }, getRandomTrialDuration)
+    : [];
+  state.trialBins = planTrialBins();
+  state.trialList = buildTrialList(state.maxTrials, state.targetProbability, state.trialBins);
 
   state.status = "idle";
   state.trialIndex = 0;
@@ -1062,41 +4061,66 @@ function resetState() {
   state.falseTaps = 0;
   state.totalTargets = 0;
   state.reactionTimes = [];
+  state.falseStarts = 0;
+  state.anticipations = 0;
+  state.blankTaps = 0;
   state.currentColor = "blue";
   state.currentShape = "circle";
   state.currentSymbols = [];
   state.currentIsTarget = false;
+  state.currentTrialProps = null;
   state.hasTappedThisTrial = false;
+  state.currentResponse = null;
+  state.awaitingOnset = false;
+  state.inBlank = false;
   state.trialStartTime = 0;
+  state.sessionStartTime = null;
+  state.trialLog = [];
+  state.modeData = {};
+  state.modeResults = null;
+  state.signalDetection = null;
+  state.rtStats = null;
   state.levelPassed = false;
   state.isMoving = false;
   state.newUnlock = null;
 
-  // Reset vigilance quarters
-  state.vigilanceQuarters = [
-    { hits: 0, misses: 0, falseTaps: 0, targets: 0, reactionTimes: [] },
-    { hits: 0, misses: 0, falseTaps: 0, targets: 0, reactionTimes: [] },
-    { hits: 0, misses: 0, falseTaps: 0, targets: 0, reactionTimes: [] },
+  // Reset vigilance bins
+  state.timeBins = Array.from({ length: state.timeBinCount }, () => (
     { hits: 0, misses: 0, falseTaps: 0, targets: 0, reactionTimes: [] }
-  ];
+  ));
+  state.currentBin = 0;
+  state.vigilanceDecrement = null;
 
   // Reset symbol appearance
   elements.symbol.className = "symbol";
   elements.symbol.style.backgroundColor = "";
   elements.symbol.style.borderLeftColor = "";
   elements.symbol.style.borderBottomColor = "";
+  elements.symbol.style.color = "";
+  elements.symbol.textContent = "";
 
   // Clear multi-symbol container
   if (elements.symbolsContainer) {
     elements.symbolsContainer.innerHTML = "";
   }
+
+  // Reset response layout and cues
+  elements.tapArea.classList.remove("split-response");
+  hideTrialCue();
+  hideFixation();
+  if (elements.responseButtons) {
+    elements.responseButtons.innerHTML = "";
+    elements.responseButtons.classList.add("hidden");
+  }
 }
 
 /**
  * Applies difficulty settings to state (for freeplay)
+ * Modes with their own presets (difficultyConfig) use those instead of DIFFICULTY_CONFIG
  */
 function applyDifficulty(difficulty) {
-  const config = DIFFICULTY_CONFIG[difficulty];
+  const mode = MODES[state.currentMode];
+  const config = ((mode && mode.difficultyConfig) || DIFFICULTY_CONFIG)[difficulty];
   if (!config) {
     state.difficulty = "normal";
     return applyDifficulty("normal");
@@ -1105,6 +4129,7 @@ function applyDifficulty(difficulty) {
   state.difficulty = difficulty;
   state.maxTrials = config.maxTrials;
   state.trialDuration = config.trialDuration;
+  state.blankDuration = config.blankDuration;
   state.targetProbability = config.targetProbability;
 }
 
@@ -1139,13 +4164,24 @@ function startFreeplay() {
 
   // Set symbol count for multi-target mode in freeplay
   if (MODES[selectedMode].isMulti) {
-    // Default to 2 symbols for easy, 3 for normal, 4 for hard
+    // Default to 2 symbols for easy, 3 for normal, 4 for hard (unless the mode fixes it)
     const symbolCounts = { easy: 2, normal: 3, hard: 4 };
-    state.symbolCount = symbolCounts[selectedDifficulty] || 3;
+    state.symbolCount = MODES[selectedMode].symbolCount || symbolCounts[selectedDifficulty] || 3;
   } else {
     state.symbolCount = 1;
   }
 
+  // N-back options in freeplay
+  if (selectedMode === "nBack") {
+    state.nBackLevel = elements.nBackSelect ? parseInt(elements.nBackSelect.value) : 2;
+    state.nBackLures = elements.nBackLures ? elements.nBackLures.value === "on" : false;
+  }
+
+  // Visual search: largest display size in freeplay
+  if (selectedMode === "multiTarget" && elements.searchSizeSelect) {
+    state.symbolCount = parseInt(elements.searchSizeSelect.value) || MODES.multiTarget.symbolCount;
+  }
+
   startSessionInternal();
 }
 
@@ -1153,7 +4189,8 @@ function startFreeplay() {
  * Applies vigilance difficulty settings to state
  */
 function applyVigilanceDifficulty(difficulty) {
-  const config = VIGILANCE_DIFFICULTY_CONFIG[difficulty];
+  const mode = MODES[state.currentMode];
+  const config = ((mode && mode.difficultyConfig) || VIGILANCE_DIFFICULTY_CONFIG)[difficulty];
   if (!config) {
     state.difficulty = "normal";
     return applyVigilanceDifficulty("normal");
@@ -1163,9 +4200,13 @@ function applyVigilanceDifficulty(difficulty) {
   state.maxTrials = config.maxTrials;
   state.trialDurationMin = config.trialDurationMin;
   state.trialDurationMax = config.trialDurationMax;
-  // Set initial trialDuration to average for time estimate display
-  state.trialDuration = Math.round((config.trialDurationMin + config.trialDurationMax) / 2);
+  // Set initial trialDuration to average for time estimate display; modes with a response
+  // window after a variable foreperiod (PVT) run for both
+  state.trialDuration = Math.round((config.trialDurationMin + config.trialDurationMax) / 2) + (config.responseWindow || 0);
+  state.blankDuration = config.blankDuration;
   state.targetProbability = config.targetProbability;
+  state.timeBinCount = config.timeBins || DEFAULT_TIME_BINS;
+  state.timeBinBy = "trials";
 }
 
 /**
@@ -1175,7 +4216,7 @@ function applyVigilanceDifficulty(difficulty) {
 function getRandomTrialDuration() {
   const min = state.trialDurationMin;
   const max = state.trialDurationMax;
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -1185,13 +4226,33 @@ function startSessionInternal() {
   // Initialize audio on first user interaction
   initAudio();
 
+  // Only Focus Lab picks its own time bins (startFocusLab)
+  state.timeBinCount = DEFAULT_TIME_BINS;
+  state.timeBinBy = "trials";
+
   resetState();
   state.status = "running";
 
-  // Update hint text based on mode
+  // Set up any mode-specific session data
   const mode = MODES[state.currentMode];
+  if (mode.initSession) {
+    mode.initSession();
+  }
+
+  // Update hint text based on mode
   if (elements.hint && mode.hint) {
-    elements.hint.textContent = mode.hint;
+    elements.hint.textContent = mode.id === "nBack"
+      ? `Tap if it matches the one ${state.nBackLevel} back!`
+      : mode.hint;
+  }
+
+  // Two-choice modes answered by tapping the left/right half of the tap area
+  if (mode.responseLayout === "halves") {
+    elements.tapArea.classList.add("split-response");
+    elements.tapArea.dataset.leftLabel = mode.choices[0].label;
+    elements.tapArea.dataset.rightLabel = mode.choices[1].label;
+  } else if (mode.responseLayout === "buttons") {
+    renderResponseButtons(mode.choices);
   }
 
   // Update game screen UI for campaign
@@ -1201,9 +4262,56 @@ function startSessionInternal() {
 
   // Play start sound and begin after delay
   playSound("start");
-  setTimeout(() => {
-    runNextTrial();
-  }, 500);
+  state.trialTimer = setFrameTimeout(runNextTrial, 500);
+}
+
+/**
+ * Shows the fixation cross (blank period between trials)
+ */
+function showFixation() {
+  if (!elements.fixation) return;
+  elements.fixation.classList.remove("hidden");
+}
+
+/**
+ * Hides the fixation cross
+ */
+function hideFixation() {
+  if (!elements.fixation) return;
+  elements.fixation.classList.add("hidden");
+}
+
+/**
+ * Shows a text cue above the stimulus (e.g. the rule in Task Switching)
+ */
+function showTrialCue(text) {
+  if (!elements.trialCue) return;
+  elements.trialCue.textContent = text;
+  elements.trialCue.classList.remove("hidden");
+}
+
+/**
+ * Hides the trial cue
+ */
+function hideTrialCue() {
+  if (!elements.trialCue) return;
+  elements.trialCue.textContent = "";
+  elements.trialCue.classList.add("hidden");
+}
+
+/**
+ * Renders on-screen answer buttons for multi-choice modes
+ * @param {Array} choices - [{ id, label, color? }]
+ */
+function renderResponseButtons(choices) {
+  if (!elements.responseButtons) return;
+
+  elements.responseButtons.innerHTML = choices.map(choice => `
+    <button class="response-btn" data-response="${choice.id}" title="${choice.label}">
+      ${choice.color ? `<span class="response-swatch" style="background: ${choice.color}"></span>` : choice.label}
+    </button>
+  `).join("");
+  elements.responseButtons.classList.remove("hidden");
 }
 
 /**
@@ -1248,11 +4356,84 @@ function startGame() {
 }
 
 /**
- * Gets the current quarter index (0-3) based on trial progress
+ * Time-on-task bin (0 to binCount - 1) that a trial falls in when binning by trial count
+ * @param {number} trialIndex - 1-based trial number
+ * @param {number} maxTrials - Trials in the session
+ * @param {number} binCount - Number of bins
+ */
+function getBinForTrial(trialIndex, maxTrials, binCount) {
+  return Math.min(binCount - 1, Math.floor(((trialIndex - 1) * binCount) / maxTrials));
+}
+
+/**
+ * Bin of every trial when binning by trial count
+ * @param {number} length - Number of trials
+ * @param {number} binCount - Number of bins
+ * @returns {Array<number>}
+ */
+function getTrialCountBins(length, binCount) {
+  return Array.from({ length }, (_, i) => getBinForTrial(i + 1, length, binCount));
+}
+
+/**
+ * Expected session length in ms (trials plus the blanks between them), for elapsed-time bins
+ * Uses the pre-drawn tempo when there is one
+ */
+function getExpectedSessionDuration() {
+  const trialTime = state.trialDurations.length === state.maxTrials
+    ? state.trialDurations.reduce((a, b) => a + b, 0)
+    : state.maxTrials * state.trialDuration;
+  return trialTime + (state.maxTrials - 1) * state.blankDuration;
+}
+
+/**
+ * Plans the time-on-task bin of every trial before the session starts, so the trial
+ * list can be balanced against exactly the bins the results are analysed by
+ * - By trials: equal trial counts (getBinForTrial)
+ * - By time: the stretch of the expected session that each trial's scheduled onset falls
+ *   in, from the pre-drawn tempo and blanks. Elapsed-time binning is only offered in Focus
+ *   Lab, whose trials always run their full duration, so actual onsets stay within a
+ *   frame or two of the plan
+ * @returns {Array<number>} Bin of each trial
+ */
+function planTrialBins() {
+  const count = state.timeBinCount;
+  if (state.timeBinBy !== "time") {
+    return getTrialCountBins(state.maxTrials, count);
+  }
+
+  const total = getExpectedSessionDuration();
+  const bins = [];
+  let onset = 0;
+  for (let i = 0; i < state.maxTrials; i++) {
+    bins.push(Math.min(count - 1, Math.floor((onset * count) / total)));
+    onset += (state.trialDurations[i] || state.trialDuration) + state.blankDuration;
+  }
+  return bins;
+}
+
+/**
+ * Time-on-task bin of the trial that is starting now (planned by planTrialBins)
  */
-function getCurrentQuarter() {
-  const progress = state.trialIndex / state.maxTrials;
-  return Math.min(3, Math.floor(progress * 4));
+function getBinForNewTrial() {
+  return state.trialBins[state.trialIndex - 1];
+}
+
+/**
+ * Axis label for each time-on-task bin: its trial range, or its stretch of session time
+ * @returns {Array<string>}
+ */
+function getTimeBinLabels() {
+  const count = state.timeBinCount;
+  if (state.timeBinBy === "time") {
+    const binSeconds = getExpectedSessionDuration() / count / 1000;
+    return Array.from({ length: count }, (_, i) => `${Math.round(i * binSeconds)}s+`);
+  }
+  return Array.from({ length: count }, (_, i) => {
+    const first = Math.floor((i * state.maxTrials) / count) + 1;
+    const last = Math.floor(((i + 1) * state.maxTrials) / count);
+    return first === last ? `#${first}` : `#${first}–${last}`;
+  });
 }
 
 /**
@@ -1265,55 +4446,254 @@ function runNextTrial() {
   }
 
   state.trialIndex++;
+  state.inBlank = false;
+  hideFixation();
 
   const mode = MODES[state.currentMode];
 
+  // Modes draw the target with random() < targetProbability; passing 1 or 0 from the
+  // pre-built balanced list fixes the outcome while the mode still picks the stimulus
+  const targetProbability = state.trialList[state.trialIndex - 1] ? 1 : 0;
+
   // Handle multi-target mode differently
   if (mode.isMulti) {
-    const trialProps = mode.getTrialProps(state.targetProbability, state.symbolCount);
+    const trialProps = mode.getTrialProps(targetProbability, state.symbolCount);
+    // Symbol positions are part of the trial: drawn now, in sequence, not at render time
+    if (!mode.symbolLayout) {
+      trialProps.positions = shuffleArray(getPositionsForCount(trialProps.symbols.length));
+    }
+    state.currentTrialProps = trialProps;
     state.currentSymbols = trialProps.symbols;
     state.currentIsTarget = trialProps.hasTarget;
   } else {
     // Single symbol mode
-    const trialProps = mode.getTrialProps(state.targetProbability);
+    const trialProps = mode.getTrialProps(targetProbability);
+    state.currentTrialProps = trialProps;
     state.currentColor = trialProps.color;
     state.currentShape = trialProps.shape;
     state.currentSymbols = [{ color: trialProps.color, shape: trialProps.shape }];
-    state.currentIsTarget = mode.isTarget(state.currentColor, state.currentShape);
+    state.currentIsTarget = mode.isTarget(state.currentColor, state.currentShape, trialProps);
   }
 
   // Track actual targets shown
+  state.currentBin = getBinForNewTrial();
   if (state.currentIsTarget) {
     state.totalTargets++;
-    // Track targets per quarter for vigilance mode
+    // Track targets per bin for vigilance mode
     if (mode.isVigilance) {
-      const quarter = getCurrentQuarter();
-      state.vigilanceQuarters[quarter].targets++;
+      state.timeBins[state.currentBin].targets++;
     }
   }
 
   state.hasTappedThisTrial = false;
-  state.trialStartTime = performance.now();
+  state.currentResponse = null;
+  state.awaitingOnset = false;
+  state.trialStartTime = null;
+
+  // Trial-by-trial record, filled in by handleTap and finishTrial
+  state.trialLog.push({
+    index: state.trialIndex,
+    props: null,            // Stimulus fields, copied when the trial ends (copyTrialStimulus)
+    isTarget: state.currentIsTarget,
+    bin: state.currentBin,  // Time-on-task bin
+    onset: null,            // Stimulus onset, ms after the first trial started
+    response: null,         // Choice id, spatial { index, distance } or "tap"
+    reactionTime: null,
+    outcome: null,          // "hit", "miss", "falseTap", "anticipation" or "correctRejection"
+    falseStarts: 0,         // Taps before the stimulus was on screen
+    blankTaps: 0,           // Taps in the blank after this trial (anticipating the next one)
+    intendedDuration: 0,
+    actualDuration: null,   // First frame to the frame that replaced it
+    droppedFrames: 0
+  });
+
+  // Measured paint times on the performance.now() clock
+  const timing = {
+    start: null,            // The trial's first frame
+    onset: null             // The stimulus that RTs count from
+  };
+  state.trialTiming = timing;
+  frameClock.droppedFrames = 0;
 
   updateSymbol();
   updateGameInfo();
+  requestPaintTime(paintTime => {
+    timing.start = paintTime;
+    if (state.sessionStartTime === null) {
+      state.sessionStartTime = paintTime;
+    }
+  });
 
-  // Use variable tempo for vigilance mode, fixed duration otherwise
-  const currentTrialDuration = mode.isVigilance
-    ? getRandomTrialDuration()
-    : state.trialDuration;
+  // Let the mode schedule anything that happens within the trial
+  if (mode.onTrialStart) {
+    mode.onTrialStart(state.currentTrialProps);
+  }
 
-  state.trialTimeoutId = setTimeout(() => {
-    if (state.currentIsTarget && !state.hasTappedThisTrial) {
-      state.misses++;
-      // Track misses per quarter for vigilance mode
-      if (mode.isVigilance) {
-        const quarter = getCurrentQuarter();
-        state.vigilanceQuarters[quarter].misses++;
-      }
+  // Stimuli shown from the start count from the frame that presents them; modes with
+  // a delayed or audio onset time the trial themselves
+  if (!state.awaitingOnset && state.trialStartTime === null) {
+    markStimulusOnset();
+  }
+
+  // Mode-defined duration if any, else variable tempo for vigilance mode, fixed otherwise
+  let currentTrialDuration;
+  if (mode.getTrialDuration) {
+    currentTrialDuration = mode.getTrialDuration(state.currentTrialProps);
+  } else {
+    currentTrialDuration = mode.isVigilance
+      ? state.trialDurations[state.trialIndex - 1]
+      : state.trialDuration;
+  }
+
+  getCurrentLogEntry().intendedDuration = currentTrialDuration;
+  state.trialTimer = setFrameTimeout(finishTrial, currentTrialDuration);
+}
+
+/**
+ * Starts timing the trial from the stimulus just drawn. RTs count from the frame that
+ * presents it - estimated now, corrected once that frame comes round. Taps in between
+ * are accepted (the stimulus is already drawn); they simply come out as very short RTs.
+ * @param {Function} [callback] - Runs once the stimulus is on screen
+ */
+function markStimulusOnset(callback = null) {
+  const timing = state.trialTiming;
+  state.awaitingOnset = false;
+  state.trialStartTime = getNextPaintTime();
+
+  requestPaintTime(paintTime => {
+    // The trial ended (or the game stopped) before the frame came round
+    if (state.trialTiming !== timing) return;
+    state.trialStartTime = paintTime;
+    timing.onset = paintTime;
+    if (callback) callback();
+  });
+}
+
+/**
+ * Copy of a trial's stimulus fields for the trial log: a snapshot, so nothing a mode
+ * changes afterwards (or a shared object such as an N-back sequence item) leaks into it
+ * - Symbols are copied one by one; hasTarget is left out (the entry has isTarget)
+ * @param {Object} props - The mode's trial props
+ * @returns {Object|null}
+ */
+function copyTrialStimulus(props) {
+  if (!props) return null;
+  const stimulus = { ...props };
+  delete stimulus.hasTarget;
+  if (stimulus.symbols) {
+    stimulus.symbols = stimulus.symbols.map(symbol => ({ ...symbol }));
+  }
+  return stimulus;
+}
+
+/**
+ * Trial log entry of the trial in progress (or the last one)
+ */
+function getCurrentLogEntry() {
+  return state.trialLog[state.trialLog.length - 1];
+}
+
+// Pause after a response before the next trial (modes with endTrialOnResponse)
+const RESPONSE_FEEDBACK_DELAY = 600;
+
+/**
+ * Scores the trial that just timed out and moves on to the next one
+ */
+function finishTrial() {
+  const mode = MODES[state.currentMode];
+
+  clearTrialEvents();
+  state.awaitingOnset = false;
+
+  const entry = getCurrentLogEntry();
+  // Taken now so it includes what the mode settled during the trial (e.g. the stop-signal delay)
+  entry.props = copyTrialStimulus(state.currentTrialProps);
+  if (entry.outcome === null) {
+    entry.outcome = state.currentIsTarget ? "miss" : "correctRejection";
+  }
+
+  // Audio-timed modes set their onset directly rather than through markStimulusOnset
+  const timing = state.trialTiming;
+  const onset = timing.onset !== null ? timing.onset : state.trialStartTime;
+  entry.onset = onset !== null ? onset - state.sessionStartTime : null;
+  entry.droppedFrames = frameClock.droppedFrames;
+  // Whatever is drawn next takes this trial's display off screen
+  requestPaintTime(paintTime => {
+    entry.actualDuration = paintTime - timing.start;
+  });
+
+  // An anticipation on a target trial leaves the target unanswered
+  const answered = state.hasTappedThisTrial && !state.currentResponse.anticipation;
+  if (state.currentIsTarget && !answered) {
+    state.misses++;
+    // Track misses per bin for vigilance mode
+    if (mode.isVigilance) {
+      state.timeBins[state.currentBin].misses++;
     }
+  }
+
+  if (mode.onTrialEnd) {
+    mode.onTrialEnd(state.currentTrialProps, state.currentResponse);
+  }
+
+  // Blank/fixation before the next stimulus (not after the last one)
+  if (state.blankDuration > 0 && state.trialIndex < state.maxTrials) {
+    startInterTrialBlank();
+  } else {
     runNextTrial();
-  }, currentTrialDuration);
+  }
+}
+
+/**
+ * Clears the stimulus and shows the fixation cross until the next trial starts,
+ * so two identical stimuli in a row still read as two separate events
+ */
+function startInterTrialBlank() {
+  state.inBlank = true;
+  elements.symbol.classList.add("hidden");
+  if (elements.symbolsContainer) {
+    elements.symbolsContainer.classList.add("hidden");
+  }
+  showFixation();
+  state.trialTimer = setFrameTimeout(runNextTrial, state.blankDuration);
+}
+
+/**
+ * Schedules an event inside the current trial (e.g. a stop signal)
+ * Cleared automatically when the trial ends or the game stops
+ */
+function scheduleTrialEvent(callback, delay) {
+  const timer = setFrameTimeout(callback, delay);
+  state.trialEventTimers.push(timer);
+  return timer;
+}
+
+/**
+ * Runs a callback on every frame for the rest of the current trial (e.g. a counter)
+ * Cleared like the other in-trial events
+ */
+function scheduleTrialFrameUpdates(callback) {
+  const timer = setFrameInterval(callback);
+  state.trialEventTimers.push(timer);
+  return timer;
+}
+
+/**
+ * Cancels any pending in-trial events
+ */
+function clearTrialEvents() {
+  state.trialEventTimers.forEach(timer => clearFrameTimeout(timer));
+  state.trialEventTimers = [];
+}
+
+/**
+ * Cancels the trial timer and any pending in-trial events
+ */
+function clearTrialTimers() {
+  clearFrameTimeout(state.trialTimer);
+  state.trialTimer = null;
+  state.trialTiming = null;
+  clearTrialEvents();
 }
 
 /**
@@ -1344,6 +4724,7 @@ function updateSymbol() {
  * Renders a single symbol (classic mode)
  */
 function renderSingleSymbol() {
+  const mode = MODES[state.currentMode];
   const color = COLORS[state.currentColor];
 
   elements.symbol.className = "symbol";
@@ -1352,12 +4733,18 @@ function renderSingleSymbol() {
   if (state.currentShape === "triangle") {
     elements.symbol.style.backgroundColor = "transparent";
     elements.symbol.style.borderBottomColor = color;
+  } else if (state.currentShape === "word" || state.currentShape === "counter") {
+    // Text stimulus (Stroop word, PVT counter) - the color is the ink, not a fill
+    elements.symbol.style.backgroundColor = "transparent";
+    elements.symbol.style.borderBottomColor = "";
+    elements.symbol.style.color = color;
   } else {
     elements.symbol.style.backgroundColor = color;
     elements.symbol.style.borderBottomColor = "";
   }
+  elements.symbol.textContent = state.currentShape === "word" ? state.currentTrialProps.word : "";
 
-  if (state.currentIsTarget) {
+  if (state.currentIsTarget && !mode.hideTargetCue) {
     elements.symbol.classList.add("target");
   }
 
@@ -1401,6 +4788,28 @@ const SYMBOL_POSITIONS = {
     [40, 75],   // Middle right
     [75, 15],   // Bottom left
     [75, 65]    // Bottom right
+  ],
+  8: [
+    [5, 5],     // Top left
+    [5, 40],    // Top center
+    [5, 75],    // Top right
+    [40, 5],    // Middle left
+    [40, 75],   // Middle right
+    [75, 5],    // Bottom left
+    [75, 40],   // Bottom center
+    [75, 75]    // Bottom right
+  ],
+  // Fixed layouts (used as-is, not shuffled)
+  sidePair: [
+    [40, 5],    // Left
+    [40, 75]    // Right
+  ],
+  flankerRow: [
+    [40, 2],    // Far left
+    [40, 22],   // Left
+    [40, 42],   // Center (target)
+    [40, 62],   // Right
+    [40, 82]    // Far right
   ]
 };
 
@@ -1432,7 +4841,7 @@ function getPositionsForCount(count) {
 function shuffleArray(array) {
   const arr = [...array];
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
@@ -1446,9 +4855,11 @@ function renderMultipleSymbols() {
 
   elements.symbolsContainer.innerHTML = "";
 
-  // Get positions for this symbol count and randomize them
-  const positions = getPositionsForCount(state.symbolCount);
-  const shuffledPositions = shuffleArray(positions);
+  // Modes with a fixed layout keep symbol order; otherwise the positions drawn with the trial
+  const mode = MODES[state.currentMode];
+  const positions = mode.symbolLayout
+    ? SYMBOL_POSITIONS[mode.symbolLayout]
+    : state.currentTrialProps.positions;
 
   state.currentSymbols.forEach((sym, index) => {
     const symbolEl = document.createElement("div");
@@ -1457,7 +4868,10 @@ function renderMultipleSymbols() {
 
     const color = COLORS[sym.color];
 
-    if (sym.shape === "triangle") {
+    if (sym.placeholder) {
+      // Empty outline box (e.g. Posner cue locations)
+      symbolEl.classList.add("placeholder");
+    } else if (sym.shape === "triangle") {
       symbolEl.style.backgroundColor = "transparent";
       symbolEl.style.borderBottomColor = color;
     } else {
@@ -1465,7 +4879,7 @@ function renderMultipleSymbols() {
     }
 
     // Add glow to the target (blue circle) if present
-    if (sym.color === "blue" && sym.shape === "circle") {
+    if (!mode.hideTargetCue && sym.color === "blue" && sym.shape === "circle") {
       symbolEl.classList.add("target");
     }
 
@@ -1476,8 +4890,8 @@ function renderMultipleSymbols() {
       symbolEl.style.animationDelay = `${index * 0.2}s`;
     }
 
-    // Position the symbol using absolute positioning
-    const [top, left] = shuffledPositions[index];
+    // Position the symbol using absolute positioning (a symbol may pick its own slot in the layout)
+    const [top, left] = positions[sym.slot !== undefined ? sym.slot : index];
     symbolEl.style.top = `${top}%`;
     symbolEl.style.left = `${left}%`;
 
@@ -1492,42 +4906,125 @@ function updateGameInfo() {
   elements.trialCounter.textContent = `Trial ${state.trialIndex} / ${state.maxTrials}`;
 
   const remainingTrials = state.maxTrials - state.trialIndex + 1;
-  const remainingMs = remainingTrials * state.trialDuration;
+  const remainingMs = remainingTrials * state.trialDuration + (remainingTrials - 1) * state.blankDuration;
   const remainingSec = Math.round(remainingMs / 1000);
   elements.timeLeft.textContent = `~${remainingSec}s left`;
 }
 
 /**
  * Handles user taps during the game
+ * @param {string|null} response - Choice id for two-choice modes (e.g. "left"), null for a plain tap
  */
-function handleTap() {
+function handleTap(response = null) {
   if (state.status !== "running") return;
+
+  // Taps between stimuli (or before the first one) are counted, but not scored against any
+  // trial; the log puts them on the trial the blank follows
+  if (state.inBlank || state.trialLog.length === 0) {
+    state.blankTaps++;
+    if (state.trialLog.length > 0) {
+      getCurrentLogEntry().blankTaps++;
+    }
+    return;
+  }
+
   if (state.hasTappedThisTrial) return;
 
+  const mode = MODES[state.currentMode];
+  if ((mode.isChoice || mode.isSpatial) && !response) return;
+
+  const bin = state.timeBins[state.currentBin];
+
+  // Tapping during a foreperiod is a false start - the trial keeps waiting. Modes that
+  // know the onset in advance (audio) set trialStartTime ahead, so compare against it
+  // rather than wait for the frame that clears awaitingOnset
+  const onsetPassed = state.trialStartTime !== null && performance.now() >= state.trialStartTime;
+  if (state.awaitingOnset && !onsetPassed) {
+    state.falseStarts++;
+    getCurrentLogEntry().falseStarts++;
+    triggerAnimation("fail");
+    playSound("fail");
+    return;
+  }
+
   state.hasTappedThisTrial = true;
   const reactionTime = performance.now() - state.trialStartTime;
-  const mode = MODES[state.currentMode];
-  const quarter = getCurrentQuarter();
 
-  if (state.currentIsTarget) {
+  // Faster than anyone can react: an anticipation, which uses up the trial and never
+  // counts as a hit. On a non-target (no-go) trial it is still a commission, so it also
+  // counts as a false tap. Its RT stays out of the averages either way.
+  const anticipationFloor = mode.anticipationFloor || ANTICIPATION_FLOOR;
+  if (!mode.isTiming && reactionTime < anticipationFloor) {
+    state.anticipations++;
+    if (!state.currentIsTarget) {
+      state.falseTaps++;
+      if (mode.isVigilance) {
+        bin.falseTaps++;
+      }
+    }
+    state.currentResponse = { response, reactionTime, correct: false, anticipation: true };
+    Object.assign(getCurrentLogEntry(), {
+      response: response !== null ? response : "tap",
+      reactionTime,
+      outcome: "anticipation"
+    });
+    triggerAnimation("fail");
+    playSound("fail");
+
+    if (mode.endTrialOnResponse) {
+      clearFrameTimeout(state.trialTimer);
+      state.trialTimer = setFrameTimeout(finishTrial, RESPONSE_FEEDBACK_DELAY);
+    }
+    return;
+  }
+
+  // Choice modes: correct if the answer matches; tap modes: correct if a target is showing
+  let isCorrect = state.currentIsTarget;
+  if (mode.checkResponse) {
+    isCorrect = mode.checkResponse(response, state.currentTrialProps);
+  } else if (mode.isChoice) {
+    isCorrect = response === state.currentTrialProps.correctResponse;
+  }
+  state.currentResponse = { response, reactionTime, correct: isCorrect };
+  Object.assign(getCurrentLogEntry(), {
+    response: response !== null ? response : "tap",
+    reactionTime,
+    outcome: isCorrect ? "hit" : "falseTap"
+  });
+
+  if (isCorrect) {
     state.hits++;
-    state.reactionTimes.push(reactionTime);
-    // Track per-quarter for vigilance mode
+    if (!mode.isTiming) {
+      state.reactionTimes.push(reactionTime);
+    }
+    // Track per-bin for vigilance mode
     if (mode.isVigilance) {
-      state.vigilanceQuarters[quarter].hits++;
-      state.vigilanceQuarters[quarter].reactionTimes.push(reactionTime);
+      bin.hits++;
+      bin.reactionTimes.push(reactionTime);
+    }
+    if (!mode.isTiming) {
+      triggerAnimation("hit");
+      playSound("hit");
     }
-    triggerAnimation("hit");
-    playSound("hit");
   } else {
     state.falseTaps++;
-    // Track per-quarter for vigilance mode
+    // Track per-bin for vigilance mode
     if (mode.isVigilance) {
-      state.vigilanceQuarters[quarter].falseTaps++;
+      bin.falseTaps++;
     }
     triggerAnimation("fail");
     playSound("fail");
   }
+
+  if (mode.onResponse) {
+    mode.onResponse(state.currentResponse);
+  }
+
+  // Modes that end the trial on response move on after a short feedback pause
+  if (mode.endTrialOnResponse) {
+    clearFrameTimeout(state.trialTimer);
+    state.trialTimer = setFrameTimeout(finishTrial, RESPONSE_FEEDBACK_DELAY);
+  }
 }
 
 /**
@@ -1558,10 +5055,7 @@ function triggerAnimation(type) {
 function endGame() {
   state.status = "finished";
 
-  if (state.trialTimeoutId) {
-    clearTimeout(state.trialTimeoutId);
-    state.trialTimeoutId = null;
-  }
+  clearTrialTimers();
 
   // Calculate metrics
   let avgRT = 0;
@@ -1570,8 +5064,18 @@ function endGame() {
     avgRT = Math.round(sum / state.reactionTimes.length);
   }
 
+  // A replayed sequence is done; the next session gets a fresh seed
+  replaySeed = null;
+
+  // Mode-specific analysis (e.g. SSRT for Stop Signal) - first, so scoring can use it
+  const mode = MODES[state.currentMode];
+  state.modeResults = mode.getResults ? mode.getResults() : null;
+  state.vigilanceDecrement = mode.isVigilance ? calculateVigilanceDecrement() : null;
+
   const score = calculateScore();
   state.lastScore = score;
+  state.signalDetection = calculateSignalDetection();
+  state.rtStats = calculateRtStats();
 
   // Handle campaign logic
   if (state.gameMode === "campaign") {
@@ -1598,6 +5102,12 @@ function endGame() {
  * Perfect play (all hits, no misses, no false taps) = 100
  */
 function calculateScore() {
+  // Modes with their own scoring rule (e.g. PVT response speed)
+  const mode = MODES[state.currentMode];
+  if (mode.calculateScore) {
+    return mode.calculateScore();
+  }
+
   const totalTrials = state.maxTrials;
   const actualTargets = state.totalTargets;
   const nonTargets = totalTrials - actualTargets;
@@ -1626,6 +5136,143 @@ function calculateScore() {
   return Math.max(0, Math.min(100, score));
 }
 
+/**
+ * Signal-detection analysis of a yes/no session: sensitivity and response bias, kept
+ * apart where the score mixes them
+ * - Rates: hits / targets and false taps / non-targets, with 0 and 1 corrected (boundedRate)
+ * - d′ = z(H) - z(F); criterion c = -(z(H) + z(F)) / 2 (positive = cautious)
+ * - A′ and B″: the nonparametric counterparts (Grier)
+ *
+ * Only for modes where a tap means "target" - not choice, spatial, timing or adaptive
+ * (staircase) modes - and sessions with both targets and non-targets
+ * @returns {Object|null} { hitRate, falseAlarmRate, dPrime, criterion, aPrime, bDoublePrime }
+ */
+function calculateSignalDetection() {
+  const mode = MODES[state.currentMode];
+  if (mode.isChoice || mode.isSpatial || mode.isTiming || mode.isAdaptive) return null;
+
+  const targets = state.totalTargets;
+  const nonTargets = state.maxTrials - state.totalTargets;
+  if (targets === 0 || nonTargets === 0) return null;
+
+  const h = boundedRate(state.hits, targets);
+  const f = boundedRate(state.falseTaps, nonTargets);
+  const zH = zScore(h);
+  const zF = zScore(f);
+
+  let aPrime = 0.5;
+  let bDoublePrime = 0;
+  if (h > f) {
+    aPrime = 0.5 + ((h - f) * (1 + h - f)) / (4 * h * (1 - f));
+    bDoublePrime = (h * (1 - h) - f * (1 - f)) / (h * (1 - h) + f * (1 - f));
+  } else if (h < f) {
+    aPrime = 0.5 - ((f - h) * (1 + f - h)) / (4 * f * (1 - h));
+    bDoublePrime = (f * (1 - f) - h * (1 - h)) / (f * (1 - f) + h * (1 - h));
+  }
+
+  const round = (value) => Math.round(value * 100) / 100;
+  return {
+    hitRate: round(h),
+    falseAlarmRate: round(f),
+    dPrime: round(zH - zF),
+    criterion: round(-(zH + zF) / 2),
+    aPrime: round(aPrime),
+    bDoublePrime: round(bDoublePrime)
+  };
+}
+
+/**
+ * Results panel for calculateSignalDetection output
+ */
+function getSignalDetectionResults(sdt) {
+  let comment;
+  if (sdt.dPrime < 1) {
+    comment = "Targets and the rest are still blurring together — take a moment to learn the target.";
+  } else if (sdt.criterion > 0.5) {
+    comment = "You hold back when unsure — cautious, so some targets slip past.";
+  } else if (sdt.criterion < -0.5) {
+    comment = "You tap when unsure — quick on the trigger, so false alarms creep in.";
+  } else if (sdt.dPrime >= 2.5) {
+    comment = "Sharp and balanced — you told targets apart without leaning either way.";
+  } else {
+    comment = "Balanced responding — neither trigger-happy nor overly cautious.";
+  }
+
+  return {
+    title: "Signal Detection",
+    metrics: [
+      { label: "Hit Rate", value: `${Math.round(sdt.hitRate * 100)}%` },
+      { label: "False Alarm Rate", value: `${Math.round(sdt.falseAlarmRate * 100)}%` },
+      { label: "d′ (Sensitivity)", value: sdt.dPrime.toFixed(2) },
+      { label: "c (Bias)", value: sdt.criterion.toFixed(2) },
+      { label: "A′", value: sdt.aPrime.toFixed(2) },
+      { label: "B″", value: sdt.bDoublePrime.toFixed(2) }
+    ],
+    comment
+  };
+}
+
+/**
+ * Results panel for calculateRtStats output
+ */
+function getRtStatsResults(stats) {
+  const exGaussian = stats.exGaussian;
+
+  let comment;
+  if (stats.cv < 0.15) {
+    comment = "Very steady timing — your responses hardly varied.";
+  } else if (stats.cv < 0.25) {
+    comment = "Fairly steady, with the odd slower response.";
+  } else {
+    comment = "Your speed swung a lot — slow outliers usually mean brief drifts of attention.";
+  }
+  if (stats.postErrorSlowing !== null && stats.postErrorSlowing >= 50) {
+    comment += " You slowed down after mistakes to get back on track.";
+  }
+
+  return {
+    title: "Response Times",
+    metrics: [
+      { label: "Median", value: `${stats.median} ms` },
+      { label: "SD", value: `${stats.sd} ms` },
+      { label: "Variability (CV)", value: `${Math.round(stats.cv * 100)}%` },
+      { label: "μ / σ", value: exGaussian ? `${exGaussian.mu} / ${exGaussian.sigma} ms` : "—" },
+      { label: "τ (Slow Tail)", value: exGaussian ? `${exGaussian.tau} ms` : "—" },
+      {
+        label: "Post-Error Slowing",
+        value: stats.postErrorSlowing !== null
+          ? `${stats.postErrorSlowing > 0 ? "+" : ""}${stats.postErrorSlowing} ms`
+          : "—"
+      }
+    ],
+    comment
+  };
+}
+
+/**
+ * Draws the RT histogram on the results screen
+ */
+function updateRtHistogram(rts) {
+  if (!elements.rtHistogram) return;
+
+  const bins = buildRtHistogram(rts);
+  const maxCount = Math.max(1, ...bins.map(bin => bin.count));
+
+  elements.rtHistogram.innerHTML = bins.length > 0 ? `
+    <div class="rt-histogram-bars">
+      ${bins.map(bin => `
+        <div class="rt-histogram-bar" title="${bin.from}–${bin.to} ms: ${bin.count}">
+          <div class="rt-histogram-fill" style="height: ${(bin.count / maxCount) * 100}%"></div>
+        </div>
+      `).join("")}
+    </div>
+    <div class="rt-histogram-axis">
+      <span>${bins[0].from} ms</span>
+      <span>${bins[bins.length - 1].to} ms</span>
+    </div>
+  ` : "";
+}
+
 /**
  * Updates the results screen with game data
  */
@@ -1636,6 +5283,57 @@ function updateResultsScreen(score, avgRT) {
   elements.resultsFalse.textContent = state.falseTaps;
   elements.resultsRT.textContent = avgRT > 0 ? `${avgRT} ms` : "—";
   elements.resultsScore.textContent = score;
+  if (elements.resultsSeed) {
+    elements.resultsSeed.textContent = `Seed ${state.seed}`;
+  }
+  if (elements.resultsSaveStatus) {
+    elements.resultsSaveStatus.classList.add("hidden");
+  }
+  updateTrialLog();
+
+  // Sensitivity and bias, for yes/no sessions
+  if (elements.sdtResults) {
+    if (state.signalDetection) {
+      updateModeResults(getSignalDetectionResults(state.signalDetection), {
+        grid: elements.sdtResultsGrid,
+        comment: elements.sdtResultsComment
+      });
+      elements.sdtResults.classList.remove("hidden");
+    } else {
+      elements.sdtResults.classList.add("hidden");
+    }
+  }
+
+  // RT distribution
+  if (elements.rtResults) {
+    if (state.rtStats) {
+      updateRtHistogram(state.reactionTimes);
+      updateModeResults(getRtStatsResults(state.rtStats), {
+        grid: elements.rtResultsGrid,
+        comment: elements.rtResultsComment
+      });
+      elements.rtResults.classList.remove("hidden");
+    } else {
+      elements.rtResults.classList.add("hidden");
+    }
+  }
+
+  // Impulsivity: the three kinds of premature response (see state.falseStarts)
+  if (elements.resultsAnticipations) {
+    const anticipationFloor = MODES[state.currentMode].anticipationFloor || ANTICIPATION_FLOOR;
+    const notes = [];
+    if (state.falseStarts > 0) {
+      notes.push(`${state.falseStarts} ${state.falseStarts === 1 ? "false start" : "false starts"} (before the stimulus)`);
+    }
+    if (state.anticipations > 0) {
+      notes.push(`${state.anticipations} ${state.anticipations === 1 ? "anticipation" : "anticipations"} (under ${anticipationFloor} ms, not counted as hits)`);
+    }
+    if (state.blankTaps > 0) {
+      notes.push(`${state.blankTaps} ${state.blankTaps === 1 ? "tap" : "taps"} between stimuli (not scored)`);
+    }
+    elements.resultsAnticipations.textContent = notes.join(" · ");
+    elements.resultsAnticipations.classList.toggle("hidden", notes.length === 0);
+  }
 
   if (state.gameMode === "campaign") {
     // Campaign results
@@ -1709,6 +5407,7 @@ function updateResultsScreen(score, avgRT) {
       }
     }
     if (elements.btnPlayAgain) elements.btnPlayAgain.classList.add("hidden");
+    if (elements.btnReplay) elements.btnReplay.classList.add("hidden");
     if (elements.difficultySuggestion) elements.difficultySuggestion.classList.add("hidden");
 
   } else {
@@ -1722,6 +5421,7 @@ function updateResultsScreen(score, avgRT) {
     if (elements.unlockNotification) elements.unlockNotification.classList.add("hidden");
     if (elements.btnNextLevel) elements.btnNextLevel.classList.add("hidden");
     if (elements.btnPlayAgain) elements.btnPlayAgain.classList.remove("hidden");
+    if (elements.btnReplay) elements.btnReplay.classList.remove("hidden");
 
     // Generate comment and suggestion for freeplay
     const comment = generateComment(score);
@@ -1742,65 +5442,172 @@ function updateResultsScreen(score, avgRT) {
   } else if (elements.vigilanceResults) {
     elements.vigilanceResults.classList.add("hidden");
   }
+
+  // Show mode-specific results if the mode provides any
+  if (state.modeResults && elements.modeResults) {
+    updateModeResults(state.modeResults);
+    elements.modeResults.classList.remove("hidden");
+  } else if (elements.modeResults) {
+    elements.modeResults.classList.add("hidden");
+  }
 }
 
 /**
- * Updates the vigilance results display showing attention drift over time
+ * Renders the mode-specific results panel
+ * @param {Object} results - { title, metrics: [{ label, value }], details: { title, rows }, comment }
+ * @param {Object} panel - Target elements { title, grid, details, comment }; defaults to the results screen
  */
-function updateVigilanceResults() {
-  const bars = [elements.q1Bar, elements.q2Bar, elements.q3Bar, elements.q4Bar];
-  const rts = [elements.q1Rt, elements.q2Rt, elements.q3Rt, elements.q4Rt];
-  const quarterScores = [];
-
-  state.vigilanceQuarters.forEach((q, i) => {
-    // Calculate hit rate for this quarter
-    let hitRate = 0;
-    if (q.targets > 0) {
-      hitRate = (q.hits / q.targets) * 100;
+function updateModeResults(results, panel = {
+  title: elements.modeResultsTitle,
+  grid: elements.modeResultsGrid,
+  details: elements.modeResultsDetails,
+  comment: elements.modeResultsComment
+}) {
+  if (panel.title) {
+    panel.title.textContent = results.title;
+  }
+
+  if (panel.grid) {
+    panel.grid.innerHTML = results.metrics.map(metric => `
+      <div class="result-item">
+        <span class="result-label">${metric.label}</span>
+        <span class="result-value">${metric.value}</span>
+      </div>
+    `).join("");
+  }
+
+  if (panel.details) {
+    const details = results.details;
+    if (details && details.rows.length > 0) {
+      panel.details.innerHTML = `
+        <h4 class="mode-details-title">${details.title}</h4>
+        ${details.rows.map(row => `
+          <div class="mode-details-row">
+            <span class="mode-details-label">${row.label}</span>
+            <div class="mode-details-bar"><div class="mode-details-fill" style="width: ${Math.max(0, Math.min(100, row.fill || 0))}%"></div></div>
+            <span class="mode-details-value">${row.value}</span>
+          </div>
+        `).join("")}`;
+      panel.details.classList.remove("hidden");
     } else {
-      // No targets in this quarter - full score if no false taps
-      hitRate = q.falseTaps === 0 ? 100 : Math.max(0, 100 - q.falseTaps * 20);
-    }
-    quarterScores.push(hitRate);
-
-    // Update bar height
-    if (bars[i]) {
-      bars[i].style.height = `${hitRate}%`;
-      bars[i].className = "quarter-fill";
-      if (hitRate >= 80) {
-        bars[i].classList.add("good");
-      } else if (hitRate >= 50) {
-        bars[i].classList.add("warning");
-      } else {
-        bars[i].classList.add("bad");
-      }
+      panel.details.innerHTML = "";
+      panel.details.classList.add("hidden");
     }
+  }
 
-    // Update reaction time
-    if (rts[i]) {
-      if (q.reactionTimes.length > 0) {
-        const avgRt = Math.round(q.reactionTimes.reduce((a, b) => a + b, 0) / q.reactionTimes.length);
-        rts[i].textContent = `${avgRt}ms`;
-      } else {
-        rts[i].textContent = "—";
-      }
+  if (panel.comment) {
+    panel.comment.textContent = results.comment || "";
+  }
+}
+
+/**
+ * Bar score for a time-on-task bin: hit rate (0-100), or with no targets in the bin,
+ * full marks unless there were false taps
+ */
+function getBinScore(bin) {
+  if (bin.targets > 0) {
+    return (bin.hits / bin.targets) * 100;
+  }
+  return bin.falseTaps === 0 ? 100 : Math.max(0, 100 - bin.falseTaps * 20);
+}
+
+/**
+ * Mean correct RT of a time-on-task bin (null without hits)
+ */
+function getBinMeanRt(bin) {
+  if (bin.reactionTimes.length === 0) return null;
+  return Math.round(bin.reactionTimes.reduce((a, b) => a + b, 0) / bin.reactionTimes.length);
+}
+
+/**
+ * Vigilance decrement: straight lines (fitLine) through hit rate and mean RT per bin,
+ * against time on task - each bin sits at the mean onset of its trials, in minutes.
+ * Per-minute slopes compare across bin counts and session lengths.
+ * Bins without targets (hit rate) or hits (RT) are left out of the fit.
+ * @returns {Object} { hitRateSlope (points/min), rtSlope (ms/min), each null if under two bins have data }
+ */
+function calculateVigilanceDecrement() {
+  const hitRatePoints = [];
+  const rtPoints = [];
+
+  state.timeBins.forEach((bin, i) => {
+    const onsets = state.trialLog
+      .filter(entry => entry.bin === i && entry.onset !== null)
+      .map(entry => entry.onset);
+    if (onsets.length === 0) return;
+    const x = onsets.reduce((a, b) => a + b, 0) / onsets.length / 60000;
+
+    if (bin.targets > 0) {
+      hitRatePoints.push({ x, y: (bin.hits / bin.targets) * 100 });
+    }
+    const meanRt = getBinMeanRt(bin);
+    if (meanRt !== null) {
+      rtPoints.push({ x, y: meanRt });
     }
   });
 
+  const hitRateFit = fitLine(hitRatePoints);
+  const rtFit = fitLine(rtPoints);
+  return {
+    hitRateSlope: hitRateFit ? Math.round(hitRateFit.slope * 10) / 10 : null,
+    rtSlope: rtFit ? Math.round(rtFit.slope) : null
+  };
+}
+
+/**
+ * Updates the vigilance results display showing attention drift over time
+ */
+function updateVigilanceResults() {
+  const labels = getTimeBinLabels();
+  const binScores = state.timeBins.map(getBinScore);
+
+  if (elements.vigilanceBins) {
+    elements.vigilanceBins.innerHTML = state.timeBins.map((bin, i) => {
+      const score = binScores[i];
+      const level = score >= 80 ? "good" : score >= 50 ? "warning" : "bad";
+      const meanRt = getBinMeanRt(bin);
+      return `
+        <div class="vigilance-bin">
+          <span class="bin-label">${labels[i]}</span>
+          <div class="bin-bar"><div class="bin-fill ${level}" style="height: ${score}%"></div></div>
+          <span class="bin-rt">${meanRt !== null ? `${meanRt}ms` : "—"}</span>
+        </div>
+      `;
+    }).join("");
+  }
+
+  // Fitted change across the session
+  const decrement = state.vigilanceDecrement;
+  if (elements.vigilanceDecrement) {
+    const parts = [];
+    if (decrement && decrement.hitRateSlope !== null) {
+      parts.push(`hit rate ${decrement.hitRateSlope > 0 ? "+" : ""}${Math.round(decrement.hitRateSlope)} pts`);
+    }
+    if (decrement && decrement.rtSlope !== null) {
+      parts.push(`RT ${decrement.rtSlope > 0 ? "+" : ""}${decrement.rtSlope} ms`);
+    }
+    elements.vigilanceDecrement.textContent = parts.length > 0
+      ? `Trend per minute: ${parts.join(", ")}`
+      : "";
+    elements.vigilanceDecrement.classList.toggle("hidden", parts.length === 0);
+  }
+
   // Generate vigilance-specific comment about attention drift
   if (elements.vigilanceComment) {
-    const vigilanceComment = generateVigilanceComment(quarterScores);
+    const vigilanceComment = generateVigilanceComment(binScores, decrement);
     elements.vigilanceComment.textContent = vigilanceComment;
   }
 }
 
 /**
  * Generates a comment about attention drift over time
+ * Drift is the fitted hit rate drop between the middles of the two halves of the session
  */
-function generateVigilanceComment(quarterScores) {
-  const firstHalf = (quarterScores[0] + quarterScores[1]) / 2;
-  const secondHalf = (quarterScores[2] + quarterScores[3]) / 2;
-  const drift = firstHalf - secondHalf;
+function generateVigilanceComment(binScores, decrement) {
+  const sessionMinutes = getExpectedSessionDuration() / 60000;
+  const drift = decrement && decrement.hitRateSlope !== null
+    ? (-decrement.hitRateSlope * sessionMinutes) / 2
+    : 0;
 
   // Check for attention decay
   if (drift > 20) {
@@ -1814,7 +5621,7 @@ function generateVigilanceComment(quarterScores) {
   }
 
   // Check overall performance
-  const avgScore = quarterScores.reduce((a, b) => a + b, 0) / 4;
+  const avgScore = binScores.reduce((a, b) => a + b, 0) / binScores.length;
   if (avgScore >= 90) {
     return "Excellent sustained attention throughout!";
   } else if (avgScore >= 70) {
@@ -1825,6 +5632,83 @@ function generateVigilanceComment(quarterScores) {
   return "Attention wandered. Practice staying present.";
 }
 
+// Trial log labels for each trial outcome
+const TRIAL_OUTCOME_LABELS = {
+  hit: "Hit",
+  miss: "Miss",
+  falseTap: "False tap",
+  anticipation: "Too fast",
+  correctRejection: "—"
+};
+
+/**
+ * Short description of a trial's stimulus for the trial log
+ * e.g. "blue circle", "\"PLANT\" · neutral", "5 items · congruent"
+ */
+function describeTrialStimulus(props) {
+  if (!props) return "—";
+
+  let stimulus;
+  if (props.symbols) {
+    stimulus = props.symbols.length === 1
+      ? `${props.symbols[0].color} ${props.symbols[0].shape}`
+      : `${props.symbols.length} items`;
+  } else if (props.shape === "word") {
+    stimulus = `"${props.word}"`;
+  } else {
+    stimulus = `${props.color} ${props.shape}`;
+  }
+
+  // Mode-specific trial type, where the mode has one
+  const type = props.condition || props.type || props.phase;
+  return type ? `${stimulus} · ${type}` : stimulus;
+}
+
+/**
+ * Fills the results screen's trial log table, one row per trial
+ */
+function updateTrialLog() {
+  if (!elements.trialLog || !elements.trialLogBody) return;
+
+  elements.trialLogBody.innerHTML = renderTrialLogRows(state.trialLog);
+  elements.trialLog.classList.toggle("hidden", state.trialLog.length === 0);
+}
+
+/**
+ * Builds trial log table rows (results screen and history drill-down)
+ * Rows from getGameTrials are stored data, so every value is escaped and only known
+ * outcomes become a row class
+ * @param {Array} entries - Trial log entries, as in state.trialLog or from getGameTrials
+ * @returns {string} HTML for the table body
+ */
+function renderTrialLogRows(entries) {
+  return entries.map(entry => {
+    const outcomeClass = TRIAL_OUTCOME_LABELS[entry.outcome] ? ` class="trial-log-${entry.outcome}"` : "";
+    let response = TRIAL_OUTCOME_LABELS[entry.outcome] || "—";
+    if (typeof entry.response === "string" && entry.response !== "tap") {
+      response += ` (${entry.response})`;
+    }
+    if (entry.falseStarts > 0) {
+      response += ` · ${entry.falseStarts} early`;
+    }
+    if (entry.blankTaps > 0) {
+      response += ` · ${entry.blankTaps} in blank`;
+    }
+
+    return `
+      <tr${outcomeClass}>
+        <td>${escapeHtml(String(entry.index))}</td>
+        <td>${escapeHtml(describeTrialStimulus(entry.props))}</td>
+        <td>${entry.isTarget ? "Yes" : "—"}</td>
+        <td>${entry.onset !== null ? escapeHtml(`${(Number(entry.onset) / 1000).toFixed(2)}s`) : "—"}</td>
+        <td>${entry.reactionTime !== null ? escapeHtml(`${Math.round(entry.reactionTime)} ms`) : "—"}</td>
+        <td>${escapeHtml(response)}</td>
+        <td>${escapeHtml(String(Number(entry.bin) + 1))}</td>
+      </tr>
+    `;
+  }).join("");
+}
+
 /**
  * Generates a comment based on the score
  */
@@ -1886,6 +5770,23 @@ if (elements.btnPlayAgain) {
   elements.btnPlayAgain.addEventListener("click", startFreeplay);
 }
 
+/**
+ * Plays the session just finished again with the same seed - same trials, same order
+ */
+function replaySession() {
+  replaySeed = state.seed;
+  if (state.gameMode === "focusLab") {
+    startFocusLab();
+  } else {
+    startFreeplay();
+  }
+}
+
+// Replay button (same trial sequence again)
+if (elements.btnReplay) {
+  elements.btnReplay.addEventListener("click", replaySession);
+}
+
 // Next level / retry button (campaign)
 if (elements.btnNextLevel) {
   elements.btnNextLevel.addEventListener("click", continueCampaign);
@@ -1896,28 +5797,121 @@ if (elements.btnHome) {
   elements.btnHome.addEventListener("click", goHome);
 }
 
+/**
+ * Stops a running game without results and returns home
+ */
+function abortSession() {
+  clearTrialTimers();
+  state.status = "idle";
+  // The replayed sequence was started, so it is used up just as if the session had ended
+  replaySeed = null;
+  goHome();
+}
+
 // Game back button (exit mid-game)
 if (elements.btnGameBack) {
-  elements.btnGameBack.addEventListener("click", () => {
-    // Stop any running game
-    if (state.trialTimeoutId) {
-      clearTimeout(state.trialTimeoutId);
-      state.trialTimeoutId = null;
-    }
-    state.status = "idle";
-    goHome();
-  });
+  elements.btnGameBack.addEventListener("click", abortSession);
+}
+
+// Browsers stop animation frames in background tabs, so trials would stall and every
+// timing after the switch would be off - a session can't survive the tab being hidden
+let abortedInBackground = false;
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) {
+    if (state.status === "running") {
+      abortSession();
+      abortedInBackground = true;
+    }
+  } else if (abortedInBackground) {
+    abortedInBackground = false;
+    alert("Your session was stopped because the app went into the background. Timings from a hidden tab aren't reliable — please start again.");
+  }
+});
+
+/**
+ * Maps a tap to a response for modes where the tap position matters
+ * - Left/right half answers: the choice id for that half
+ * - Spatial modes: which symbol was tapped and how far the tap was from the target (null
+ *   for taps between the symbols)
+ * @param {Element} target - Element that received the tap
+ * @param {number} clientX - Horizontal tap position
+ * @param {number} clientY - Vertical tap position
+ * @returns {string|Object|null} Response, or null for plain tap modes
+ */
+function getTapResponse(target, clientX, clientY) {
+  const mode = MODES[state.currentMode];
+
+  if (mode.isSpatial) {
+    const symbolEl = target.closest(".symbol-multi");
+    const targetIndex = state.currentTrialProps ? state.currentTrialProps.targetIndex : null;
+    const targetEl = targetIndex !== null && targetIndex !== undefined
+      ? elements.symbolsContainer.querySelector(`[data-index="${targetIndex}"]`)
+      : null;
+
+    let distance = null;
+    if (targetEl) {
+      const targetRect = targetEl.getBoundingClientRect();
+      distance = Math.round(Math.hypot(
+        clientX - (targetRect.left + targetRect.width / 2),
+        clientY - (targetRect.top + targetRect.height / 2)
+      ));
+    }
+
+    // Taps on empty space aren't an answer - the player still has to pick a shape
+    if (!symbolEl) return null;
+    return { index: parseInt(symbolEl.dataset.index), distance };
+  }
+
+  if (mode.responseLayout !== "halves") return null;
+
+  const rect = elements.tapArea.getBoundingClientRect();
+  return clientX < rect.left + rect.width / 2 ? mode.choices[0].id : mode.choices[1].id;
 }
 
 // Tap area
 if (elements.tapArea) {
-  elements.tapArea.addEventListener("click", handleTap);
+  elements.tapArea.addEventListener("click", (e) => {
+    handleTap(getTapResponse(e.target, e.clientX, e.clientY));
+  });
   elements.tapArea.addEventListener("touchstart", (e) => {
     e.preventDefault();
-    handleTap();
+    handleTap(getTapResponse(e.target, e.touches[0].clientX, e.touches[0].clientY));
   }, { passive: false });
 }
 
+// Response buttons (multi-choice modes)
+if (elements.responseButtons) {
+  const handleResponseButton = (e) => {
+    const button = e.target.closest(".response-btn");
+    if (!button) return;
+    e.preventDefault();
+    handleTap(button.dataset.response);
+  };
+  elements.responseButtons.addEventListener("click", handleResponseButton);
+  elements.responseButtons.addEventListener("touchstart", handleResponseButton, { passive: false });
+}
+
+// Keyboard answers for choice modes (each choice lists its keys)
+document.addEventListener("keydown", (e) => {
+  if (state.status !== "running" || e.repeat) return;
+
+  const mode = MODES[state.currentMode];
+  if (!mode.choices) return;
+  const choice = mode.choices.find(c => c.keys.includes(e.key));
+  if (choice) {
+    e.preventDefault();
+    handleTap(choice.id);
+  }
+});
+
+// Keyboard: space taps in plain tap modes
+document.addEventListener("keydown", (e) => {
+  if (state.status !== "running" || e.repeat || e.key !== " ") return;
+  if (MODES[state.currentMode].choices) return;
+  e.preventDefault();
+  handleTap();
+});
+
 // ===== FOCUS LAB =====
 
 /**
@@ -1925,7 +5919,11 @@ if (elements.tapArea) {
  */
 function startFocusLab() {
   state.gameMode = "focusLab";
-  state.currentMode = "focusLab";
+
+  // Classic Focus Lab or the SART variant
+  state.currentMode = elements.focusParadigm && MODES[elements.focusParadigm.value]
+    ? elements.focusParadigm.value
+    : "focusLab";
 
   // Get difficulty from Focus Lab selector
   const selectedDifficulty = elements.focusDifficulty ? elements.focusDifficulty.value : "normal";
@@ -1934,21 +5932,41 @@ function startFocusLab() {
   applyVigilanceDifficulty(selectedDifficulty);
   state.symbolCount = 1;
 
+  // Time-on-task bins: the preset's count unless the player picked one
+  const selectedBins = elements.focusBins ? parseInt(elements.focusBins.value, 10) : NaN;
+  if (selectedBins > 0) {
+    state.timeBinCount = selectedBins;
+  }
+  if (elements.focusBinBy && elements.focusBinBy.value === "time") {
+    state.timeBinBy = "time";
+  }
+
   // Initialize audio
   initAudio();
 
   resetState();
   state.status = "running";
 
-  // Randomize the target for this session (visual variety!)
   const mode = MODES[state.currentMode];
+  if (mode.initSession) {
+    mode.initSession();
+  }
+
+  // Randomize the target for this session (visual variety!)
   if (mode && mode.randomizeTarget) {
     const target = mode.randomizeTarget();
     // Update hint to show current target
     const colorName = target.color.charAt(0).toUpperCase() + target.color.slice(1);
     const shapeName = target.shape.charAt(0).toUpperCase() + target.shape.slice(1);
     if (elements.hint) {
-      elements.hint.textContent = `Tap the ${colorName} ${shapeName}!`;
+      if (mode.id === "focusLabSart") {
+        elements.hint.textContent = `Tap everything except the ${colorName} ${shapeName}!`;
+      } else if (mode.id === "focusLabReversal") {
+        // Only the starting target is announced - later switches are silent
+        elements.hint.textContent = `Tap the ${colorName} ${shapeName}! It may change.`;
+      } else {
+        elements.hint.textContent = `Tap the ${colorName} ${shapeName}!`;
+      }
     }
   } else if (elements.hint && mode && mode.hint) {
     elements.hint.textContent = mode.hint;
@@ -1963,9 +5981,7 @@ function startFocusLab() {
 
   // Play start sound and begin
   playSound("start");
-  setTimeout(() => {
-    runNextTrial();
-  }, 500);
+  state.trialTimer = setFrameTimeout(runNextTrial, 500);
 }
 
 // Focus Lab button
@@ -1981,6 +5997,241 @@ if (elements.btnSignUp) {
   elements.btnSignUp.addEventListener("click", () => showAuthModal("signup"));
 }
 
+// ===== CHOICE LAB (DELAY DISCOUNTING) =====
+
+// Questionnaire progress (separate from state - no trials or timers involved)
+let choiceLab = null;
+
+/**
+ * Starts a Choice Lab questionnaire
+ */
+function startChoiceLab() {
+  initAudio();
+
+  choiceLab = {
+    delayIndex: 0,
+    questionIndex: 0,
+    immediate: DELAY_DISCOUNTING_CONFIG.delayedAmount / 2,
+    step: DELAY_DISCOUNTING_CONFIG.delayedAmount / 4,
+    indifferencePoints: [] // { days, label, value }
+  };
+
+  if (elements.choiceQuestion) elements.choiceQuestion.classList.remove("hidden");
+  if (elements.choiceResults) elements.choiceResults.classList.add("hidden");
+
+  showChoiceQuestion();
+  showScreen("choice");
+}
+
+/**
+ * Formats a money amount for the choice buttons
+ */
+function formatAmount(amount) {
+  return `$${Number.isInteger(amount) ? amount : amount.toFixed(2)}`;
+}
+
+/**
+ * Shows the current "now vs later" offer
+ */
+function showChoiceQuestion() {
+  const config = DELAY_DISCOUNTING_CONFIG;
+  const delay = config.delays[choiceLab.delayIndex];
+  const questionNumber = choiceLab.delayIndex * config.questionsPerDelay + choiceLab.questionIndex + 1;
+
+  if (elements.choiceProgress) {
+    elements.choiceProgress.textContent = `Question ${questionNumber} / ${config.delays.length * config.questionsPerDelay}`;
+  }
+  if (elements.choiceNow) {
+    elements.choiceNow.textContent = `${formatAmount(choiceLab.immediate)} now`;
+  }
+  if (elements.choiceLater) {
+    elements.choiceLater.textContent = `${formatAmount(config.delayedAmount)} ${delay.label}`;
+  }
+}
+
+/**
+ * Records an answer and moves the immediate offer toward indifference
+ * @param {string} choice - "now" or "later"
+ */
+function handleChoice(choice) {
+  if (!choiceLab) return;
+
+  const config = DELAY_DISCOUNTING_CONFIG;
+  playSound("click");
+
+  // Taking the money now means the offer was worth more than the wait - lower it, and vice versa
+  choiceLab.immediate += choice === "now" ? -choiceLab.step : choiceLab.step;
+  choiceLab.step /= 2;
+  choiceLab.questionIndex++;
+
+  if (choiceLab.questionIndex >= config.questionsPerDelay) {
+    const delay = config.delays[choiceLab.delayIndex];
+    choiceLab.indifferencePoints.push({ days: delay.days, label: delay.label, value: choiceLab.immediate });
+
+    choiceLab.delayIndex++;
+    choiceLab.questionIndex = 0;
+    choiceLab.immediate = config.delayedAmount / 2;
+    choiceLab.step = config.delayedAmount / 4;
+
+    if (choiceLab.delayIndex >= config.delays.length) {
+      finishChoiceLab();
+      return;
+    }
+  }
+
+  showChoiceQuestion();
+}
+
+/**
+ * Fits the hyperbolic discounting model V = A / (1 + kD) to the indifference points
+ * Grid search over log10(k), which is how k is usually compared between people
+ * @param {Array} points - [{ days, value }]
+ * @param {number} amount - Delayed amount A
+ * @returns {number} Best-fitting k (per day)
+ */
+function fitDiscountRate(points, amount) {
+  let bestK = null;
+  let bestError = Infinity;
+
+  for (let logK = -5; logK <= 1; logK += 0.01) {
+    const k = Math.pow(10, logK);
+    const error = points.reduce((sum, p) => {
+      const diff = p.value / amount - 1 / (1 + k * p.days);
+      return sum + diff * diff;
+    }, 0);
+    if (error < bestError) {
+      bestError = error;
+      bestK = k;
+    }
+  }
+
+  return bestK;
+}
+
+/**
+ * Area under the empirical discounting curve (both axes normalized to 0-1)
+ * 1 = no discounting at all, 0 = any delay makes the reward worthless
+ */
+function discountingAuc(points, amount) {
+  const maxDays = points[points.length - 1].days;
+  const curve = [{ x: 0, y: 1 }, ...points.map(p => ({ x: p.days / maxDays, y: p.value / amount }))];
+
+  let auc = 0;
+  for (let i = 1; i < curve.length; i++) {
+    auc += (curve[i].x - curve[i - 1].x) * (curve[i].y + curve[i - 1].y) / 2;
+  }
+  return auc;
+}
+
+/**
+ * Builds the Choice Lab results in the same shape as mode getResults
+ */
+function getChoiceLabResults() {
+  const config = DELAY_DISCOUNTING_CONFIG;
+  const points = choiceLab.indifferencePoints;
+  const k = fitDiscountRate(points, config.delayedAmount);
+  const auc = discountingAuc(points, config.delayedAmount);
+  // Delay at which a reward has lost half its value
+  const halfLifeDays = Math.round(1 / k);
+
+  let comment;
+  if (k < 0.005) {
+    comment = "Very patient — you'll happily wait for the bigger reward.";
+  } else if (k < 0.05) {
+    comment = "Balanced — you wait for larger rewards, but long delays start to weigh on you.";
+  } else {
+    comment = "Now-focused — a reward loses its pull quickly when you have to wait for it.";
+  }
+
+  return {
+    title: "Choice Impulsivity",
+    metrics: [
+      { label: "Discount Rate k", value: k.toPrecision(2) },
+      { label: "Patience (AUC)", value: Math.round(auc * 100) / 100 },
+      { label: "Half-Value Delay", value: `${halfLifeDays} days` }
+    ],
+    details: {
+      title: `Worth of ${formatAmount(config.delayedAmount)} Later`,
+      rows: points.map(p => ({
+        label: p.label.replace(/^in /, ""),
+        value: formatAmount(p.value),
+        fill: (p.value / config.delayedAmount) * 100
+      }))
+    },
+    comment,
+    data: {
+      k: Number(k.toPrecision(3)),
+      logK: Math.round(Math.log10(k) * 100) / 100,
+      auc: Math.round(auc * 1000) / 1000,
+      indifferencePoints: points.map(p => ({ days: p.days, value: p.value }))
+    }
+  };
+}
+
+/**
+ * Shows the Choice Lab results and saves them
+ */
+function finishChoiceLab() {
+  const results = getChoiceLabResults();
+
+  if (elements.choiceQuestion) elements.choiceQuestion.classList.add("hidden");
+  if (elements.choiceResults) elements.choiceResults.classList.remove("hidden");
+  updateModeResults(results, {
+    title: elements.choiceResultsTitle,
+    grid: elements.choiceResultsGrid,
+    details: elements.choiceResultsDetails,
+    comment: elements.choiceResultsComment
+  });
+
+  playSound("levelUp");
+  saveChoiceLabResultIfLoggedIn(results);
+  choiceLab = null;
+}
+
+/**
+ * Saves a Choice Lab result under its own game_mode
+ * There are no hits or reaction times; the score is the AUC on a 0-100 scale
+ */
+async function saveChoiceLabResultIfLoggedIn(results) {
+  if (!isSupabaseConfigured()) return;
+
+  const user = await getCurrentUser();
+  if (!user) return;
+
+  await saveGameResult({
+    gameMode: "delayDiscounting",
+    mode: "delayDiscounting",
+    difficulty: "standard",
+    level: null,
+    score: Math.round(results.data.auc * 100),
+    hits: 0,
+    misses: 0,
+    falseTaps: 0,
+    avgReactionTime: null,
+    totalTargets: 0,
+    binScores: null,
+    binRts: null,
+    modeMetrics: results.data
+  });
+}
+
+// Choice Lab buttons
+if (elements.btnChoiceLab) {
+  elements.btnChoiceLab.addEventListener("click", startChoiceLab);
+}
+if (elements.choiceNow) {
+  elements.choiceNow.addEventListener("click", () => handleChoice("now"));
+}
+if (elements.choiceLater) {
+  elements.choiceLater.addEventListener("click", () => handleChoice("later"));
+}
+if (elements.btnChoiceHome) {
+  elements.btnChoiceHome.addEventListener("click", () => {
+    choiceLab = null;
+    showScreen("home");
+  });
+}
+
 // ===== AUTHENTICATION UI =====
 
 let authMode = "signin"; // "signin" or "signup"
@@ -2180,6 +6431,17 @@ if (elements.btnHistory) {
 
 let historyChart = null;
 let currentHistoryRange = "today";
+let currentHistoryMetric = "score";
+let historyResults = []; // Last loaded sessions, re-charted when the metric changes
+
+// Measures the history chart can plot: how to read each from a game_results row, and the y range
+const HISTORY_CHART_METRICS = {
+  score: { label: "Score", value: r => r.score, decimals: 0, min: 0, max: 100 },
+  dPrime: { label: "d′", value: r => r.signal_detection && r.signal_detection.dPrime, decimals: 2, min: 0 },
+  criterion: { label: "c", value: r => r.signal_detection && r.signal_detection.criterion, decimals: 2 },
+  aPrime: { label: "A′", value: r => r.signal_detection && r.signal_detection.aPrime, decimals: 2, min: 0, max: 1 },
+  bDoublePrime: { label: "B″", value: r => r.signal_detection && r.signal_detection.bDoublePrime, decimals: 2, min: -1, max: 1 }
+};
 
 /**
  * Loads and displays the history screen
@@ -2210,10 +6472,12 @@ async function loadHistory(range = currentHistoryRange) {
   }
 
   // Update chart
+  historyResults = data;
   updateHistoryChart(data);
 
   // Update list
   updateHistoryList(data);
+  hideHistorySession();
 }
 
 /**
@@ -2224,20 +6488,27 @@ function updateHistoryChart(data) {
 
   const ctx = elements.historyChart.getContext("2d");
 
+  const metric = HISTORY_CHART_METRICS[currentHistoryMetric];
+
   // Prepare data for chart - group by hour of day
   const hourData = {};
   for (let i = 0; i < 24; i++) {
     hourData[i] = [];
   }
 
-  data.forEach(result => {
+  // Questionnaire scores aren't performance scores - keep them off the chart;
+  // sessions without the measure (e.g. no signal detection for choice modes) are skipped
+  data.filter(result => !QUESTIONNAIRE_GAME_MODES.includes(result.game_mode)).forEach(result => {
+    const value = metric.value(result);
+    if (value === null || value === undefined) return;
     const hour = new Date(result.created_at).getHours();
-    hourData[hour].push(result.score);
+    hourData[hour].push(value);
   });
 
   // Calculate averages per hour
   const labels = [];
   const scores = [];
+  const factor = Math.pow(10, metric.decimals);
   for (let i = 0; i < 24; i++) {
     const hour12 = i % 12 || 12;
     const ampm = i >= 12 ? "PM" : "AM";
@@ -2245,7 +6516,7 @@ function updateHistoryChart(data) {
 
     if (hourData[i].length > 0) {
       const avg = hourData[i].reduce((a, b) => a + b, 0) / hourData[i].length;
-      scores.push(Math.round(avg));
+      scores.push(Math.round(avg * factor) / factor);
     } else {
       scores.push(null);
     }
@@ -2262,7 +6533,7 @@ function updateHistoryChart(data) {
     data: {
       labels,
       datasets: [{
-        label: "Score",
+        label: metric.label,
         data: scores,
         borderColor: "#00d4ff",
         backgroundColor: "rgba(0, 212, 255, 0.1)",
@@ -2281,8 +6552,8 @@ function updateHistoryChart(data) {
       },
       scales: {
         y: {
-          min: 0,
-          max: 100,
+          min: metric.min,
+          max: metric.max,
           ticks: {
             color: "rgba(255, 255, 255, 0.5)"
           },
@@ -2332,17 +6603,29 @@ function updateHistoryList(data) {
     if (result.game_mode === "campaign") {
       modeLabel = `Campaign L${result.level || "?"}`;
     } else if (result.game_mode === "focusLab") {
-      modeLabel = "Focus Lab";
+      modeLabel = result.mode === "focusLabSart" ? "Focus Lab SART"
+        : result.mode === "focusLabReversal" ? "Focus Lab Reversal"
+        : "Focus Lab";
+    } else if (result.game_mode === "delayDiscounting") {
+      modeLabel = "Choice Lab";
     } else {
       modeLabel = "Free Play";
     }
 
+    // Choice Lab shows its discount rate where other sessions show difficulty
+    const detail = result.game_mode === "delayDiscounting" && result.mode_metrics
+      ? `k = ${Number(result.mode_metrics.k).toPrecision(2)}`
+      : result.difficulty;
+
+    // Game sessions open their saved trials; Choice Lab has none
+    const hasTrials = !QUESTIONNAIRE_GAME_MODES.includes(result.game_mode);
+
     return `
-      <div class="history-item">
+      <div class="history-item${hasTrials ? " history-item-clickable" : ""}"${hasTrials ? ` data-result-id="${result.id}" data-label="${modeLabel} · ${dateStr} ${timeStr}"` : ""}>
         <div class="history-item-info">
           <span class="history-item-time">${dateStr} ${timeStr}</span>
           <span class="history-item-mode">${modeLabel}</span>
-          <span class="history-item-difficulty">${result.difficulty}</span>
+          <span class="history-item-difficulty">${detail}</span>
         </div>
         <span class="history-item-score">${result.score}</span>
       </div>
@@ -2350,6 +6633,70 @@ function updateHistoryList(data) {
   }).join("");
 }
 
+/**
+ * Shows the trial-by-trial rows of one saved session below the history list
+ * @param {string} resultId - id of the game_results row
+ * @param {string} label - Heading for the panel (mode and date)
+ */
+async function showHistorySession(resultId, label) {
+  if (!elements.historySession) return;
+
+  elements.historySessionTitle.textContent = label;
+  elements.historySessionBody.innerHTML = "";
+  elements.historySessionStatus.textContent = "Loading trials…";
+  elements.historySessionStatus.classList.remove("hidden");
+  elements.historySession.classList.remove("hidden");
+  elements.historySession.dataset.resultId = resultId;
+
+  const { data, error } = await getGameTrials(resultId);
+
+  // Another session was opened (or the panel closed) while this one loaded
+  if (elements.historySession.dataset.resultId !== resultId) return;
+
+  if (error || data.length === 0) {
+    elements.historySessionStatus.textContent = error
+      ? "Couldn't load the trials for this session."
+      : "No trial data was saved for this session.";
+    return;
+  }
+
+  elements.historySessionStatus.classList.add("hidden");
+  elements.historySessionBody.innerHTML = renderTrialLogRows(data);
+}
+
+/**
+ * Hides the session drill-down panel
+ */
+function hideHistorySession() {
+  if (!elements.historySession) return;
+  elements.historySession.classList.add("hidden");
+  delete elements.historySession.dataset.resultId;
+}
+
+// History sessions open their trials on click
+if (elements.historyListItems) {
+  elements.historyListItems.addEventListener("click", (e) => {
+    const item = e.target.closest("[data-result-id]");
+    if (item) {
+      showHistorySession(item.dataset.resultId, item.dataset.label);
+    }
+  });
+}
+if (elements.btnHistorySessionClose) {
+  elements.btnHistorySessionClose.addEventListener("click", hideHistorySession);
+}
+
+// History chart metric buttons
+if (elements.metricBtns) {
+  elements.metricBtns.forEach(btn => {
+    btn.addEventListener("click", () => {
+      currentHistoryMetric = btn.dataset.metric;
+      elements.metricBtns.forEach(b => b.classList.toggle("active", b === btn));
+      updateHistoryChart(historyResults);
+    });
+  });
+}
+
 // History filter buttons
 if (elements.filterBtns) {
   elements.filterBtns.forEach(btn => {
@@ -2394,30 +6741,37 @@ async function saveGameResultsIfLoggedIn() {
     hits: state.hits,
     misses: state.misses,
     falseTaps: state.falseTaps,
+    falseStarts: state.falseStarts,
+    anticipations: state.anticipations,
+    blankTaps: state.blankTaps,
     avgReactionTime: avgRT,
     totalTargets: state.totalTargets,
-    quarterScores: null,
-    quarterRts: null
+    binScores: null,
+    binRts: null,
+    timeBins: null,
+    vigilanceDecrement: null,
+    modeMetrics: state.modeResults ? state.modeResults.data : null,
+    seed: state.seed,
+    signalDetection: state.signalDetection,
+    rtStats: state.rtStats,
+    trials: state.trialLog
   };
 
   // Add vigilance-specific data for Focus Lab
-  if (state.gameMode === "focusLab" && state.vigilanceQuarters) {
-    result.quarterScores = state.vigilanceQuarters.map(q => {
-      if (q.targets > 0) {
-        return Math.round((q.hits / q.targets) * 100);
-      }
-      return q.falseTaps === 0 ? 100 : Math.max(0, 100 - q.falseTaps * 20);
-    });
-
-    result.quarterRts = state.vigilanceQuarters.map(q => {
-      if (q.reactionTimes.length > 0) {
-        return Math.round(q.reactionTimes.reduce((a, b) => a + b, 0) / q.reactionTimes.length);
-      }
-      return null;
-    });
+  if (state.gameMode === "focusLab" && state.timeBins.length > 0) {
+    result.binScores = state.timeBins.map(bin => Math.round(getBinScore(bin)));
+    result.binRts = state.timeBins.map(getBinMeanRt);
+    result.timeBins = { count: state.timeBinCount, by: state.timeBinBy };
+    result.vigilanceDecrement = state.vigilanceDecrement;
   }
 
-  await saveGameResult(result);
+  const { trialsError } = await saveGameResult(result);
+
+  // The session row is in; its raw trials are kept on this device for the next save
+  if (trialsError && elements.resultsSaveStatus) {
+    elements.resultsSaveStatus.textContent = "Your trial-by-trial data couldn't be saved yet — it will be sent again after your next game.";
+    elements.resultsSaveStatus.classList.remove("hidden");
+  }
 }
 
 // ===== LEADERBOARD =====
@@ -2482,7 +6836,8 @@ function updateLeaderboardDisplay(data, mode) {
     if (isCampaignMode) {
       detailsText = `Level ${entry.level}`;
     } else {
-      const modeLabel = entry.gameMode === "focusLab" ? "Focus Lab" :
+      // Focus Lab entries name their paradigm (classic, SART, reversal)
+      const modeLabel = entry.gameMode === "focusLab" ? (MODES[entry.mode] ? MODES[entry.mode].label : "Focus Lab") :
                         entry.gameMode === "campaign" ? "Campaign" : "Free Play";
       detailsText = `${modeLabel} • ${entry.difficulty || ""}`;
     }
@@ -6,7 +6,7 @@
  * SETUP REQUIRED:
  * 1. Create a Supabase project at https://supabase.com
  * 2. Replace SUPABASE_URL and SUPABASE_ANON_KEY below with your project credentials
- * 3. Create the focus_lab_results table (SQL provided below)
+ * 3. Create the game_results and game_trials tables (SQL provided below)
  */
 
 // ===== CONFIGURATION =====
@@ -192,10 +192,23 @@ function onAuthStateChange(callback) {
 
 // ===== DATABASE OPERATIONS =====
 
+// Questionnaire game modes: saved like games, but their score isn't a performance score,
+// so they stay out of averages and the leaderboard
+const QUESTIONNAIRE_GAME_MODES = ['delayDiscounting'];
+
+// Per-trial rows are written in batches; a failed batch is retried with a doubling delay
+const TRIAL_INSERT_BATCH_SIZE = 100;
+const TRIAL_INSERT_ATTEMPTS = 3;
+const TRIAL_INSERT_RETRY_DELAY = 500; // ms before the first retry
+
+// Trial logs that still failed after the retries wait here and are sent with the next save
+const PENDING_TRIALS_KEY = 'impulseLab_pendingTrials';
+
 /**
  * Save a game session result
  * @param {Object} result - The session result to save
- * @returns {Object} { data, error }
+ * @returns {Object} { data, error, trialsError } - trialsError: the session row was saved
+ *   but its trial rows weren't (they are kept and retried with the next save)
  */
 async function saveGameResult(result) {
   if (!supabase) return { data: null, error: 'Supabase not configured' };
@@ -203,12 +216,14 @@ async function saveGameResult(result) {
   const user = await getCurrentUser();
   if (!user) return { data: null, error: 'Not logged in' };
 
+  await retryPendingTrials(user.id);
+
   try {
     const { data, error } = await supabase
       .from('game_results')
       .insert({
         user_id: user.id,
-        game_mode: result.gameMode,       // 'campaign', 'focusLab', 'freeplay'
+        game_mode: result.gameMode,       // 'campaign', 'focusLab', 'freeplay', 'delayDiscounting'
         mode: result.mode,                 // 'tapOnBlue', 'blueCircle', etc.
         difficulty: result.difficulty,
         level: result.level || null,       // Campaign level (if applicable)
@@ -216,21 +231,181 @@ async function saveGameResult(result) {
         hits: result.hits,
         misses: result.misses,
         false_taps: result.falseTaps,
+        false_starts: result.falseStarts || 0,    // Taps before the stimulus was drawn
+        anticipations: result.anticipations || 0, // Responses faster than the anticipation floor
+        blank_taps: result.blankTaps || 0,        // Taps in the blank between trials
         avg_reaction_time: result.avgReactionTime,
         total_targets: result.totalTargets,
-        quarter_scores: result.quarterScores,
-        quarter_rts: result.quarterRts
+        bin_scores: result.binScores || null,   // Hit rate per time-on-task bin (Focus Lab)
+        bin_rts: result.binRts || null,         // Mean RT per time-on-task bin
+        time_bins: result.timeBins || null,     // { count, by: 'trials' | 'time' }
+        vigilance_decrement: result.vigilanceDecrement || null, // Fitted change per minute
+        mode_metrics: result.modeMetrics || null, // Paradigm-specific measures (e.g. SSRT)
+        seed: result.seed ?? null,                 // PRNG seed that generated the trial sequence
+        signal_detection: result.signalDetection || null, // d′, c, A′, B″ (yes/no modes only)
+        rt_stats: result.rtStats || null           // Median, SD, CV, ex-Gaussian, post-error slowing
       })
       .select();
 
     if (error) throw error;
-    return { data, error: null };
+
+    // Raw trial rows go to their own table, linked to the session row just created
+    let trialsError = null;
+    if (result.trials && result.trials.length > 0 && data && data[0]) {
+      ({ error: trialsError } = await saveGameTrials(data[0].id, user.id, result.trials));
+      if (trialsError) {
+        console.error('Error saving trials:', trialsError);
+        queuePendingTrials(data[0].id, user.id, result.trials);
+      }
+    }
+
+    return { data, error: null, trialsError };
   } catch (e) {
     console.error('Error saving result:', e);
     return { data: null, error: e.message };
   }
 }
 
+/**
+ * Save the per-trial log of a session into game_trials
+ * Rows go in batches of TRIAL_INSERT_BATCH_SIZE; each batch is retried on failure, and
+ * (result_id, trial_index) is unique so a retried batch never duplicates rows
+ * @param {string} resultId - id of the game_results row
+ * @param {string} userId
+ * @param {Array} trials - Trial log entries ({ index, props, isTarget, ... })
+ * @returns {Object} { error }
+ */
+async function saveGameTrials(resultId, userId, trials) {
+  if (!supabase) return { error: 'Supabase not configured' };
+
+  const rows = trials.map(trial => ({
+    result_id: resultId,
+    user_id: userId,
+    trial_index: trial.index,
+    props: trial.props,
+    is_target: trial.isTarget,
+    bin: trial.bin,
+    onset: trial.onset,
+    response: trial.response,
+    reaction_time: trial.reactionTime,
+    outcome: trial.outcome,
+    false_starts: trial.falseStarts,
+    blank_taps: trial.blankTaps,
+    intended_duration: trial.intendedDuration,
+    actual_duration: trial.actualDuration,
+    dropped_frames: trial.droppedFrames
+  }));
+
+  for (let i = 0; i < rows.length; i += TRIAL_INSERT_BATCH_SIZE) {
+    const batch = rows.slice(i, i + TRIAL_INSERT_BATCH_SIZE);
+    let delay = TRIAL_INSERT_RETRY_DELAY;
+
+    for (let attempt = 1; ; attempt++) {
+      const { error } = await supabase
+        .from('game_trials')
+        .upsert(batch, { onConflict: 'result_id,trial_index', ignoreDuplicates: true });
+
+      if (!error) break;
+      if (attempt >= TRIAL_INSERT_ATTEMPTS) {
+        return { error: error.message };
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay *= 2;
+    }
+  }
+
+  return { error: null };
+}
+
+/**
+ * Trial logs waiting to be saved: [{ resultId, userId, trials }]
+ */
+function getPendingTrials() {
+  try {
+    return JSON.parse(localStorage.getItem(PENDING_TRIALS_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Keep a session's trial log to send again later
+ */
+function queuePendingTrials(resultId, userId, trials) {
+  const pending = getPendingTrials().filter(p => p.resultId !== resultId);
+  pending.push({ resultId, userId, trials });
+  try {
+    localStorage.setItem(PENDING_TRIALS_KEY, JSON.stringify(pending));
+  } catch (e) {
+    console.error('Error keeping trials for later:', e);
+  }
+}
+
+/**
+ * Send the signed-in user's waiting trial logs again; whatever still fails stays queued
+ * @param {string} userId
+ */
+async function retryPendingTrials(userId) {
+  const pending = getPendingTrials();
+  if (pending.length === 0) return;
+
+  const remaining = [];
+  for (const entry of pending) {
+    if (entry.userId !== userId) {
+      remaining.push(entry);
+      continue;
+    }
+    const { error } = await saveGameTrials(entry.resultId, entry.userId, entry.trials);
+    if (error) remaining.push(entry);
+  }
+
+  try {
+    localStorage.setItem(PENDING_TRIALS_KEY, JSON.stringify(remaining));
+  } catch (e) {
+    console.error('Error keeping trials for later:', e);
+  }
+}
+
+/**
+ * Get the trial rows of one saved session, in trial order
+ * @param {string} resultId - id of the game_results row
+ * @returns {Object} { data, error } - data uses the app's trial log shape ({ index, props, isTarget, ... })
+ */
+async function getGameTrials(resultId) {
+  if (!supabase) return { data: [], error: 'Supabase not configured' };
+
+  try {
+    const { data, error } = await supabase
+      .from('game_trials')
+      .select('*')
+      .eq('result_id', resultId)
+      .order('trial_index', { ascending: true });
+
+    if (error) throw error;
+
+    const trials = (data || []).map(row => ({
+      index: row.trial_index,
+      props: row.props,
+      isTarget: row.is_target,
+      bin: row.bin,
+      onset: row.onset,
+      response: row.response,
+      reactionTime: row.reaction_time,
+      outcome: row.outcome,
+      falseStarts: row.false_starts,
+      blankTaps: row.blank_taps || 0,
+      intendedDuration: row.intended_duration,
+      actualDuration: row.actual_duration,
+      droppedFrames: row.dropped_frames
+    }));
+
+    return { data: trials, error: null };
+  } catch (e) {
+    console.error('Error fetching trials:', e);
+    return { data: [], error: e.message };
+  }
+}
+
 // Alias for backwards compatibility
 async function saveFocusLabResult(result) {
   return saveGameResult({ ...result, gameMode: 'focusLab' });
@@ -240,9 +415,10 @@ async function saveFocusLabResult(result) {
  * Get game results for the current user
  * @param {string} range - 'today', 'week', 'month', or 'all'
  * @param {string} gameMode - Optional filter: 'campaign', 'focusLab', 'freeplay', or null for all
+ * @param {string} mode - Optional MODES id filter (e.g. one Focus Lab paradigm)
  * @returns {Object} { data, error }
  */
-async function getGameResults(range = 'all', gameMode = null) {
+async function getGameResults(range = 'all', gameMode = null, mode = null) {
   if (!supabase) return { data: [], error: 'Supabase not configured' };
 
   const user = await getCurrentUser();
@@ -259,6 +435,9 @@ async function getGameResults(range = 'all', gameMode = null) {
     if (gameMode) {
       query = query.eq('game_mode', gameMode);
     }
+    if (mode) {
+      query = query.eq('mode', mode);
+    }
 
     // Apply date filter
     const now = new Date();
@@ -283,30 +462,38 @@ async function getGameResults(range = 'all', gameMode = null) {
   }
 }
 
+// Focus Lab paradigms score on different scales, so Focus Lab lookups take one paradigm
+// (MODES id: 'focusLab', 'focusLabSart', 'focusLabReversal'); the classic one by default
+const DEFAULT_FOCUS_PARADIGM = 'focusLab';
+
 // Alias for backwards compatibility
-async function getFocusLabResults(range = 'all') {
-  return getGameResults(range, 'focusLab');
+async function getFocusLabResults(range = 'all', paradigm = DEFAULT_FOCUS_PARADIGM) {
+  return getGameResults(range, 'focusLab', paradigm);
 }
 
 /**
  * Get statistics for the current user
  * @param {string} range - 'today', 'week', 'month', or 'all'
  * @param {string} gameMode - Optional filter: 'campaign', 'focusLab', 'freeplay', or null for all
+ * @param {string} mode - Optional MODES id filter
  * @returns {Object} { sessions, avgScore, bestTimeOfDay }
  */
-async function getGameStats(range = 'all', gameMode = null) {
-  const { data, error } = await getGameResults(range, gameMode);
+async function getGameStats(range = 'all', gameMode = null, mode = null) {
+  const { data, error } = await getGameResults(range, gameMode, mode);
 
   if (error || data.length === 0) {
     return { sessions: 0, avgScore: null, bestTimeOfDay: null };
   }
 
-  // Calculate average score
-  const avgScore = Math.round(data.reduce((sum, r) => sum + r.score, 0) / data.length);
+  // Calculate average score (game sessions only)
+  const scored = data.filter(r => !QUESTIONNAIRE_GAME_MODES.includes(r.game_mode));
+  const avgScore = scored.length > 0
+    ? Math.round(scored.reduce((sum, r) => sum + r.score, 0) / scored.length)
+    : null;
 
   // Find best time of day
   const hourScores = {};
-  data.forEach(r => {
+  scored.forEach(r => {
     const hour = new Date(r.created_at).getHours();
     if (!hourScores[hour]) {
       hourScores[hour] = { total: 0, count: 0 };
@@ -341,8 +528,8 @@ async function getGameStats(range = 'all', gameMode = null) {
 }
 
 // Alias for backwards compatibility
-async function getFocusLabStats(range = 'all') {
-  return getGameStats(range, 'focusLab');
+async function getFocusLabStats(range = 'all', paradigm = DEFAULT_FOCUS_PARADIGM) {
+  return getGameStats(range, 'focusLab', paradigm);
 }
 
 // ===== LEADERBOARD =====
@@ -377,9 +564,10 @@ function getCountryFlag(countryCode) {
  * Get global leaderboard (top scores across all users)
  * @param {string} gameMode - Optional filter: 'campaign', 'focusLab', 'freeplay', or null for all
  * @param {number} limit - Number of entries to return (default 50)
+ * @param {string} mode - Optional MODES id filter
  * @returns {Object} { data, error }
  */
-async function getLeaderboard(gameMode = null, limit = 50) {
+async function getLeaderboard(gameMode = null, limit = 50, mode = null) {
   if (!supabase) return { data: [], error: 'Supabase not configured' };
 
   try {
@@ -390,6 +578,7 @@ async function getLeaderboard(gameMode = null, limit = 50) {
       .select(`
         score,
         game_mode,
+        mode,
         difficulty,
         level,
         created_at,
@@ -404,6 +593,11 @@ async function getLeaderboard(gameMode = null, limit = 50) {
 
     if (gameMode) {
       query = query.eq('game_mode', gameMode);
+    } else {
+      query = query.not('game_mode', 'in', `(${QUESTIONNAIRE_GAME_MODES.join(',')})`);
+    }
+    if (mode) {
+      query = query.eq('mode', mode);
     }
 
     const { data, error } = await query;
@@ -430,6 +624,7 @@ async function getLeaderboard(gameMode = null, limit = 50) {
         countryFlag: getCountryFlag(entry.user_profiles?.country),
         score: entry.score,
         gameMode: entry.game_mode,
+        mode: entry.mode,
         difficulty: entry.difficulty,
         level: entry.level,
         date: entry.created_at
@@ -443,10 +638,10 @@ async function getLeaderboard(gameMode = null, limit = 50) {
 }
 
 /**
- * Get leaderboard for Focus Lab only (most common use case)
+ * Get leaderboard for one Focus Lab paradigm (most common use case)
  */
-async function getFocusLabLeaderboard(limit = 50) {
-  return getLeaderboard('focusLab', limit);
+async function getFocusLabLeaderboard(limit = 50, paradigm = DEFAULT_FOCUS_PARADIGM) {
+  return getLeaderboard('focusLab', limit, paradigm);
 }
 
 /**
@@ -545,18 +740,27 @@ async function getCampaignLeaderboard(limit = 50) {
  *   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
  *   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
  *   created_at TIMESTAMPTZ DEFAULT NOW(),
- *   game_mode TEXT NOT NULL,        -- 'campaign', 'focusLab', 'freeplay'
- *   mode TEXT,                       -- 'tapOnBlue', 'blueCircle', 'multiTarget', 'focusLab'
+ *   game_mode TEXT NOT NULL,        -- 'campaign', 'focusLab', 'freeplay', 'delayDiscounting'
+ *   mode TEXT,                       -- MODES id: 'tapOnBlue', 'multiTarget', 'focusLab', 'stroop', ...
  *   difficulty TEXT NOT NULL,
  *   level INTEGER,                   -- Campaign level (null for non-campaign)
  *   score INTEGER NOT NULL,
  *   hits INTEGER NOT NULL,
  *   misses INTEGER NOT NULL,
  *   false_taps INTEGER NOT NULL,
+ *   false_starts INTEGER DEFAULT 0,  -- Premature responses (impulsivity): taps before the stimulus was drawn,
+ *   anticipations INTEGER DEFAULT 0, --   responses faster than the anticipation floor,
+ *   blank_taps INTEGER DEFAULT 0,    --   and taps in the blank between trials
  *   avg_reaction_time INTEGER,
  *   total_targets INTEGER,
- *   quarter_scores JSONB,
- *   quarter_rts JSONB
+ *   bin_scores JSONB,                -- Hit rate per time-on-task bin (Focus Lab)
+ *   bin_rts JSONB,                   -- Mean RT per bin
+ *   time_bins JSONB,                 -- { count, by: 'trials' | 'time' }
+ *   vigilance_decrement JSONB,       -- { hitRateSlope, rtSlope }: fitted change per minute on task
+ *   mode_metrics JSONB,              -- Paradigm-specific measures (e.g. SSRT, final SSD, discount rate k)
+ *   seed BIGINT,                     -- PRNG seed of the trial sequence (replay with ?seed=)
+ *   signal_detection JSONB,          -- { hitRate, falseAlarmRate, dPrime, criterion, aPrime, bDoublePrime }
+ *   rt_stats JSONB                   -- { count, mean, median, sd, cv, exGaussian: { mu, sigma, tau }, postErrorSlowing, postErrorCount }
  * );
  *
  * -- Enable Row Level Security
@@ -570,4 +774,59 @@ async function getCampaignLeaderboard(limit = 50) {
  * CREATE POLICY "Users can insert own results" ON game_results
  *   FOR INSERT WITH CHECK (auth.uid() = user_id);
  *
+ * -- 3. Game Trials table (one row per trial of a game_results session)
+ * CREATE TABLE game_trials (
+ *   id BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+ *   result_id UUID NOT NULL REFERENCES game_results(id) ON DELETE CASCADE,
+ *   user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+ *   trial_index INTEGER NOT NULL,    -- 1-based, in presentation order
+ *   props JSONB,                     -- Snapshot of the stimulus at trial end (color, shape, condition, ...)
+ *   is_target BOOLEAN NOT NULL,
+ *   bin INTEGER,                     -- Time-on-task bin (0-based)
+ *   onset REAL,                      -- ms after the session's first trial started
+ *   response JSONB,                  -- 'tap', a choice id, or { index, distance } for spatial taps
+ *   reaction_time REAL,              -- ms from the painted stimulus
+ *   outcome TEXT NOT NULL,           -- 'hit', 'miss', 'falseTap', 'anticipation', 'correctRejection'
+ *   false_starts INTEGER NOT NULL DEFAULT 0,
+ *   blank_taps INTEGER NOT NULL DEFAULT 0, -- Taps in the blank after this trial
+ *   intended_duration REAL,
+ *   actual_duration REAL,            -- Measured from painted frames
+ *   dropped_frames INTEGER,
+ *   UNIQUE (result_id, trial_index)
+ * );
+ *
+ * -- Enable Row Level Security
+ * ALTER TABLE game_trials ENABLE ROW LEVEL SECURITY;
+ *
+ * -- Raw trials are private to their player
+ * CREATE POLICY "Users can view own trials" ON game_trials
+ *   FOR SELECT USING (auth.uid() = user_id);
+ *
+ * -- Only onto the player's own sessions
+ * CREATE POLICY "Users can insert own trials" ON game_trials
+ *   FOR INSERT WITH CHECK (
+ *     auth.uid() = user_id
+ *     AND EXISTS (SELECT 1 FROM game_results r WHERE r.id = result_id AND r.user_id = auth.uid())
+ *   );
+ *
+ * -- Migration for existing databases
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS mode_metrics JSONB;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS seed BIGINT;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS signal_detection JSONB;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS rt_stats JSONB;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS anticipations INTEGER DEFAULT 0;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS false_starts INTEGER DEFAULT 0;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS blank_taps INTEGER DEFAULT 0;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS bin_scores JSONB;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS bin_rts JSONB;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS time_bins JSONB;
+ * ALTER TABLE game_results ADD COLUMN IF NOT EXISTS vigilance_decrement JSONB;
+ *
+ * -- Backfill: sessions saved before time-on-task bins used four trial-count quarters
+ * UPDATE game_results
+ *   SET bin_scores = quarter_scores,
+ *       bin_rts = quarter_rts,
+ *       time_bins = '{"count": 4, "by": "trials"}'::jsonb
+ *   WHERE bin_scores IS NULL AND quarter_scores IS NOT NULL;
+ *
  */
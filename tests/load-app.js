@@ -0,0 +1,79 @@
+// Loads app.js into a sandbox with a stand-in DOM, so its pure helpers can be tested
+// with Node's built-in runner (node --test tests/) - no browser or packages needed.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+// Element stand-in: accepts any property, method call or assignment
+function fakeElement() {
+  const store = {
+    style: {},
+    dataset: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    querySelector: () => fakeElement(),
+    querySelectorAll: () => [],
+    getContext: () => null
+  };
+  return new Proxy(store, {
+    get(target, key) {
+      if (key in target) return target[key];
+      if (typeof key === "symbol") return undefined;
+      return () => fakeElement();
+    },
+    set(target, key, value) {
+      target[key] = value;
+      return true;
+    }
+  });
+}
+
+function loadApp() {
+  const storage = {};
+  const errors = [];
+  const context = {
+    // Errors are collected rather than printed (no Supabase client here, for one)
+    console: { log: console.log, warn: console.warn, error: (...args) => errors.push(args.join(" ")) },
+    Math,
+    Date,
+    JSON,
+    URLSearchParams,
+    performance: { now: () => 0 },
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    requestAnimationFrame: () => 0,
+    cancelAnimationFrame: () => {},
+    alert: () => {},
+    Audio: function () { return { play: () => Promise.resolve(), pause() {} }; },
+    localStorage: {
+      getItem: key => (key in storage ? storage[key] : null),
+      setItem: (key, value) => { storage[key] = String(value); },
+      removeItem: key => { delete storage[key]; }
+    },
+    location: { search: "", href: "http://localhost/", pathname: "/" },
+    history: { replaceState() {} },
+    document: {
+      hidden: false,
+      getElementById: () => fakeElement(),
+      querySelector: () => fakeElement(),
+      querySelectorAll: () => [],
+      createElement: () => fakeElement(),
+      addEventListener() {},
+      body: fakeElement()
+    }
+  };
+  context.window = context;
+  vm.createContext(context);
+
+  const root = path.join(__dirname, "..");
+  for (const file of ["supabase.js", "app.js"]) {
+    vm.runInContext(fs.readFileSync(path.join(root, file), "utf8"), context, { filename: file });
+  }
+  return {
+    context,
+    errors,
+    // Top-level const/let bindings (state, MODES, ...) are only reachable from inside
+    run: code => vm.runInContext(code, context)
+  };
+}
+
+module.exports = { loadApp };
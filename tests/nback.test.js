@@ -0,0 +1,46 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const app = loadApp();
+const { buildNBackSequence } = app.context;
+
+const POOL = ["blue", "red", "green", "yellow", "purple", "orange", "pink", "teal"]
+  .map(color => ({ color, shape: "circle" }));
+
+function seed(value) {
+  app.run(`state.rng = createRng(${value})`);
+}
+
+test("buildNBackSequence: exact match count, no lures when lures are off", () => {
+  for (const n of [1, 2, 3]) {
+    for (let s = 1; s <= 50; s++) {
+      seed(s);
+      const sequence = buildNBackSequence(30, n, 0.3, false, POOL);
+      assert.strictEqual(sequence.length, 30);
+      assert.strictEqual(sequence.filter(t => t.isMatch).length, Math.round(0.3 * (30 - n)));
+      assert.ok(!sequence.some(t => t.isLure), `n ${n}, seed ${s}: lure in a lure-free sequence`);
+      // Non-matches repeat nothing at lags 1 .. N+1 (matches may, in a run of matches)
+      sequence.forEach((t, i) => {
+        if (t.isMatch) return;
+        for (let k = 1; k <= n + 1 && i - k >= 0; k++) {
+          assert.notStrictEqual(t.color, sequence[i - k].color, `n ${n}, seed ${s}: repeat at lag ${k}`);
+        }
+      });
+    }
+  }
+});
+
+test("buildNBackSequence: exact match count with lures allowed", () => {
+  for (let s = 1; s <= 50; s++) {
+    seed(s);
+    const sequence = buildNBackSequence(40, 2, 0.25, true, POOL);
+    assert.strictEqual(sequence.filter(t => t.isMatch).length, Math.round(0.25 * 38));
+  }
+});
+
+test("buildNBackSequence: throws when the pool is too small", () => {
+  seed(1);
+  assert.throws(() => buildNBackSequence(20, 3, 0.3, false, POOL.slice(0, 4)));
+  assert.doesNotThrow(() => buildNBackSequence(20, 3, 0.3, false, POOL.slice(0, 5)));
+});
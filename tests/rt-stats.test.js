@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const app = loadApp();
+const { median, standardDeviation, logNormalCdf, fitExGaussian, calculatePostErrorSlowing, createRng } = app.context;
+
+// Box-Muller normal plus an exponential tail, from a seeded generator
+function exGaussianSample(count, mu, sigma, tau, seed) {
+  const rng = createRng(seed);
+  const values = [];
+  for (let i = 0; i < count; i++) {
+    const normal = Math.sqrt(-2 * Math.log(1 - rng())) * Math.cos(2 * Math.PI * rng());
+    values.push(mu + sigma * normal - tau * Math.log(1 - rng()));
+  }
+  return values;
+}
+
+test("median: odd, even and unsorted input", () => {
+  assert.strictEqual(median([3, 1, 2]), 2);
+  assert.strictEqual(median([4, 1, 3, 2]), 2.5);
+  assert.strictEqual(median([7]), 7);
+});
+
+test("standardDeviation: sample SD, null below two values", () => {
+  assert.strictEqual(standardDeviation([2, 4, 4, 4, 5, 5, 7, 9]), Math.sqrt(32 / 7));
+  assert.strictEqual(standardDeviation([5, 5, 5]), 0);
+  assert.strictEqual(standardDeviation([5]), null);
+});
+
+test("logNormalCdf: matches known normal CDF values into the far lower tail", () => {
+  const known = [[1, 0.8413447461], [0, 0.5], [-1, 0.1586552539], [-3, 1.3498980316e-3],
+    [-4, 3.1671241833e-5], [-5, 2.8665157187e-7], [-6, 9.8658764503e-10], [-10, 7.6198530242e-24]];
+  for (const [z, p] of known) {
+    const relativeError = Math.abs(Math.exp(logNormalCdf(z)) / p - 1);
+    assert.ok(relativeError < 1e-3, `z ${z}: relative error ${relativeError}`);
+  }
+});
+
+test("fitExGaussian: recovers known parameters", () => {
+  const fit = fitExGaussian(exGaussianSample(2000, 400, 40, 100, 7));
+  assert.ok(Math.abs(fit.mu - 400) < 15, `mu ${fit.mu}`);
+  assert.ok(Math.abs(fit.sigma - 40) < 10, `sigma ${fit.sigma}`);
+  assert.ok(Math.abs(fit.tau - 100) < 15, `tau ${fit.tau}`);
+});
+
+test("fitExGaussian: null with too few RTs", () => {
+  assert.strictEqual(fitExGaussian(exGaussianSample(10, 400, 40, 100, 1)), null);
+});
+
+test("calculatePostErrorSlowing: only errors flanked by correct responses", () => {
+  const hit = rt => ({ outcome: "hit", reactionTime: rt });
+  const falseTap = { outcome: "falseTap", reactionTime: 250 };
+  const miss = { outcome: "miss", reactionTime: null };
+
+  const result = calculatePostErrorSlowing([hit(400), falseTap, hit(460), hit(300), falseTap, hit(340)]);
+  assert.strictEqual(result.slowing, 50);
+  assert.strictEqual(result.errors, 2);
+  // A miss is not an error, and an error next to a miss has no clean neighbours
+  assert.strictEqual(calculatePostErrorSlowing([hit(400), miss, hit(500)]), null);
+  assert.strictEqual(calculatePostErrorSlowing([hit(400), falseTap, miss, hit(500)]), null);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { loadApp } = require("./load-app");
+
+const app = loadApp();
+const { buildTrialList, getBinForTrial, getTrialCountBins } = app.context;
+
+function longestRun(list) {
+  let run = 0;
+  let longest = 0;
+  list.forEach(isTarget => {
+    run = isTarget ? run + 1 : 0;
+    longest = Math.max(longest, run);
+  });
+  return longest;
+}
+
+function seed(value) {
+  app.run(`state.rng = createRng(${value})`);
+}
+
+test("buildTrialList: exact target count and length", () => {
+  for (let s = 1; s <= 50; s++) {
+    seed(s);
+    const list = buildTrialList(25, 0.3, getTrialCountBins(25, 4));
+    assert.strictEqual(list.length, 25);
+    assert.strictEqual(list.filter(Boolean).length, Math.round(0.3 * 25));
+  }
+});
+
+test("buildTrialList: targets follow each bin's share", () => {
+  seed(7);
+  const length = 40;
+  const list = buildTrialList(length, 0.25, getTrialCountBins(length, 4));
+  const perBin = [0, 0, 0, 0];
+  list.forEach((isTarget, i) => {
+    if (isTarget) perBin[getBinForTrial(i + 1, length, 4)]++;
+  });
+  // 10 targets over four bins of 10 trials: 2 or 3 each, 10 in all
+  perBin.forEach(count => assert.ok(count >= 2 && count <= 3, `bin count ${count}`));
+  assert.strictEqual(perBin.reduce((a, b) => a + b, 0), 10);
+});
+
+test("buildTrialList: never exceeds maxRun when the non-targets allow it", () => {
+  for (let s = 1; s <= 200; s++) {
+    seed(s);
+    const list = buildTrialList(30, 0.7, getTrialCountBins(30, 4), 3);
+    assert.ok(longestRun(list) <= 3, `seed ${s}: run of ${longestRun(list)}`);
+  }
+});
+
+test("buildTrialList: go-heavy lists cap runs at the smallest length that fits", () => {
+  for (let s = 1; s <= 100; s++) {
+    seed(s);
+    // SART normal: 50 trials, 89% go - about 6 no-go separators
+    const list = buildTrialList(50, 0.89, getTrialCountBins(50, 5), 3);
+    const targets = list.filter(Boolean).length;
+    assert.strictEqual(targets, Math.round(0.89 * 50));
+    // 45 go trials around 5 no-go separators can't do better than ceil(45 / 6) = 8;
+    // per-bin quotas and runs carried across bins may add a couple more
+    assert.ok(longestRun(list) <= 10, `seed ${s}: run of ${longestRun(list)}`);
+  }
+});
+
+test("buildTrialList: same seed, same list", () => {
+  seed(42);
+  const first = buildTrialList(30, 0.3);
+  seed(42);
+  const second = buildTrialList(30, 0.3);
+  assert.deepStrictEqual(first, second);
+});
+
+test("planTrialBins: elapsed-time bins follow the pre-drawn tempo", () => {
+  app.run(`
+    state.maxTrials = 6;
+    state.timeBinCount = 2;
+    state.timeBinBy = "time";
+    state.blankDuration = 0;
+    state.trialDurations = [3000, 1000, 1000, 1000, 1000, 1000];
+  `);
+  // 8 s in all: the first two trials start in the first 4 s, the rest after
+  assert.deepStrictEqual([...app.run("planTrialBins()")], [0, 0, 1, 1, 1, 1]);
+  app.run(`state.timeBinBy = "trials"; state.trialDurations = [];`);
+});
+
+test("buildTrialList: targets balanced over elapsed-time bins", () => {
+  seed(3);
+  // Slow first half, fast second half: bin 1 holds twice as many trials as bin 0
+  const trialBins = [...new Array(10).fill(0), ...new Array(20).fill(1)];
+  const list = buildTrialList(30, 0.3, trialBins);
+  const perBin = [0, 0];
+  list.forEach((isTarget, i) => {
+    if (isTarget) perBin[trialBins[i]]++;
+  });
+  assert.deepStrictEqual(perBin, [3, 6]);
+});